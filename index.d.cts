@@ -5,7 +5,8 @@
  * backend of MERN applications.
  *
  * Why use this middleware:
- * - Provides default error handling for common express API setups (Express, Mongoose, JWT, Zod)
+ * - Provides default error handling for common express API setups (Express, Mongoose, JWT, Zod,
+ *   Joi, Yup, express-validator, class-validator)
  * - Prevents leaking of stack traces and sensitive data to clients in production
  * - Consistent response format structure ensures easy front end integration
  * - Works with custom errors, http-errors package, Zod, etc.
@@ -18,15 +19,631 @@
  * @param {Object} options - Configuration options object
  * @param {boolean} [options.logErrors=notProduction] - Option to log error details to logger
  * @param {boolean} [options.exposeStack=false] - Option to expose stack traces in error logging
- * @param {Function} [options.logger=console.error] - Accepts custom logger function for error logging
+ * @param {Function|Object} [options.logger=console.error] - Custom logger function or leveled logger
+ * @param {string} [options.loggerStyle] - "message-first" (Winston) or "data-first" (Pino/Bunyan)
+ * @param {Function|Object} [options.logLevels] - Log level policy, defaults 4xx warn and 5xx error
+ * @param {Function} [options.getUserId] - (req) => user ID included in logs (default req.user.id)
  * @param {Array<Function>} [options.customHandlers=[]] - Array of custom error handler functions
- * @returns {Function} Express error-handling middleware (err, req, res, next)
+ * @param {Object} [options.handlers] - Disable, replace, wrap or reorder built-in handlers and insert
+ * classifying handlers before or after them
+ * @param {Object} [options.overrides] - Status, message and error item template overrides keyed by
+ * error code (e.g. "INVALID_ID") or error name (e.g. "DocumentNotFoundError")
+ * @param {string|Function} [options.format="default"] - "default", "problem" or custom formatter
+ * @param {string} [options.problemTypeBaseUrl] - Base URL for "problem" format type URIs
+ * @param {boolean|Array<string>} [options.negotiate=false] - Respond with JSON, HTML, plain text or
+ * XML depending on the Accept header (JSON when any type is accepted)
+ * @param {string|Function} [options.htmlRenderer] - View name for res.render or (locals) => html
+ * @param {boolean} [options.localize] - Translate messages per request (Accept-Language/req.locale)
+ * @param {Function} [options.resolveLocale] - (req) => locale, enables localize when provided
+ * @param {string} [options.defaultLocale="en"] - Locale used when no requested locale is available
+ * @param {Object} [options.messages] - Custom message catalogs keyed by locale then message id
+ * @param {boolean} [options.requestId=false] - Add request correlation IDs to responses and logs
+ * @param {string} [options.requestIdHeader="X-Request-Id"] - Header to read and respond with ID
+ * @param {Function} [options.generateRequestId=randomUUID] - Generates IDs for requests without one
+ * @param {string} [options.authRealm] - Realm of WWW-Authenticate challenges sent with 401s
+ * @param {boolean} [options.authErrorDescription=true] - Describe token errors in 401 challenges
+ * @param {number|false} [options.retryAfter=30] - Retry-After seconds for 503/429, false to omit
+ * @param {boolean|Object} [options.redact=!notProduction] - Redact sensitive values in responses
+ * and logs, with optional field paths, patterns and censor
+ * @param {Function} [options.onError] - (event) => void, called with each classified error before
+ * the response is sent (sync or async, failures are ignored)
+ * @param {Function} [options.onResponse] - (event) => void, called after the response is sent
+ * @param {boolean|Object} [options.metrics=true] - Count errors by code and status, or metrics from
+ * createErrorMetrics to share between error handlers
+ * @param {Array<Object|Function>} [options.reporters=[]] - Error reporting adapters with
+ * capture(report), e.g. createHttpReporter or a Sentry adapter
+ * @param {Array<number|string>|Function} [options.reportOn=["5xx"]] - Statuses, status classes and
+ * error codes to report, or (status, code, err) => boolean
+ * @param {number} [options.reportSampleRate=1] - Fraction of matching errors to report (0 to 1)
+ * @param {Object} [options.reportThrottle] - Report at most { limit } errors with the same
+ * fingerprint per { interval } milliseconds
+ * @param {boolean} [options.debug=false] - Add a debug block with the error's details, stack frames,
+ * matched rule and cause chain to responses, only allowed when NODE_ENV is development or test
+ * @param {string} [options.headersSent="next"] - For errors after the response has started, "next"
+ * passes the error to Express (which closes the connection), "destroy" closes it directly
+ * @returns {Function} Express error-handling middleware (err, req, res, next), with the resolved
+ * handler chain in its 'handlers' property for debugging, error counters in 'metrics' and
+ * flushReports() resolving once scheduled reports are delivered
  */
 declare function createErrorHandler(options?: {
   logErrors?: boolean;
   exposeStack?: boolean;
-  logger?: Function;
+  logger?: Function | createErrorHandler.LeveledLogger;
+  loggerStyle?: "message-first" | "data-first";
+  logLevels?: createErrorHandler.LogLevelPolicy;
+  getUserId?: (req: any) => unknown;
   customHandlers?: Array<Function>;
-}): (err: any, req: any, res: any, next: any) => any;
+  handlers?: createErrorHandler.HandlersConfig;
+  overrides?: createErrorHandler.ErrorOverrides;
+  format?: "default" | "problem" | createErrorHandler.Formatter;
+  problemTypeBaseUrl?: string;
+  negotiate?: boolean | createErrorHandler.ResponseType[];
+  htmlRenderer?: string | ((locals: createErrorHandler.HtmlLocals) => string);
+  localize?: boolean;
+  resolveLocale?: (req: any) => string | undefined;
+  defaultLocale?: string;
+  messages?: Record<string, createErrorHandler.MessageCatalog>;
+  requestId?: boolean;
+  requestIdHeader?: string;
+  generateRequestId?: () => string;
+  redact?: boolean | createErrorHandler.RedactOptions;
+  authRealm?: string;
+  authErrorDescription?: boolean;
+  retryAfter?: number | false;
+  onError?: (event: createErrorHandler.ErrorHookEvent) => void | Promise<unknown>;
+  onResponse?: (event: createErrorHandler.ErrorHookEvent) => void | Promise<unknown>;
+  metrics?: boolean | createErrorHandler.ErrorMetrics;
+  reporters?: createErrorHandler.ErrorReporter[];
+  reportOn?: Array<number | string> | ((status: number, code: string, err: any) => boolean);
+  reportSampleRate?: number;
+  reportThrottle?: { limit: number; interval: number };
+  headersSent?: "next" | "destroy";
+  debug?: boolean;
+}): ((err: any, req: any, res: any, next: any) => any) & {
+  readonly handlers: readonly createErrorHandler.ResolvedHandler[];
+  /** Error counters (undefined when the metrics option is false) */
+  readonly metrics: createErrorHandler.ErrorMetrics | undefined;
+  /** Resolves once scheduled error reports are delivered */
+  flushReports(): Promise<void>;
+};
+
+declare namespace createErrorHandler {
+  /**
+   * Detailed error message, either plain text or tied to a specific field. Field items classified by
+   * the error handler have the code of their error (or their own)
+   */
+  export type ErrorItem = string | { field: string; message: string; code?: string };
+
+  /** Message templates keyed by message id (e.g. "duplicateKey.field"), with {placeholders} */
+  export type MessageCatalog = Record<string, string>;
+
+  /** Error classification returned by normalizeError */
+  export interface NormalizedError {
+    /** HTTP status code */
+    status: number;
+    /** Stable identifier for the kind of error (e.g. "DUPLICATE_KEY") */
+    code: string;
+    /** Short client friendly error message */
+    message: string;
+    /** Detailed error messages */
+    errors: ErrorItem[];
+    /** Response headers (e.g. WWW-Authenticate, Retry-After, or declared by the error) */
+    headers?: Record<string, string>;
+  }
+
+  /** Error serialized for logs and debug responses, with its own inner errors */
+  export interface SerializedError {
+    name?: string;
+    message: string;
+    code?: unknown;
+    stack?: string;
+    cause?: SerializedError;
+    aggregatedErrors?: SerializedError[];
+  }
+
+  /** Parsed stack frame, or a run of collapsed node_modules frames */
+  export type StackFrame =
+    | { function?: string; file: string; line?: number; column?: number }
+    | { collapsed: number; packages: string[] };
+
+  /** Debug block added to responses in debug mode */
+  export interface DebugInfo {
+    /** Name of the original error */
+    name?: string;
+    code?: unknown;
+    message?: string;
+    /** Stack frames, with node_modules frames collapsed */
+    stack: StackFrame[];
+    /** Classification rule that matched */
+    rule: {
+      /** Name of the handler that recognized the error, or "catchAll" */
+      handler: string;
+      /** Name of the inner error the handler recognized, when the error was unwrapped */
+      matchedError?: string;
+    };
+    /** Error the handled error was caused by (err.cause), with its own cause */
+    cause?: SerializedError;
+    /** Errors of an AggregateError */
+    aggregatedErrors?: SerializedError[];
+  }
+
+  /** Normalized error descriptor passed to response formatters */
+  export interface ErrorDescriptor extends NormalizedError {
+    /** Original error object */
+    error: any;
+    /** Express request object */
+    req: any;
+    /** Correlation ID of the request (only when the requestId option is enabled) */
+    requestId?: string;
+    /** Original error details, stack frames, matched rule and cause chain (only in debug mode) */
+    debug?: DebugInfo;
+  }
+
+  /** Response body and headers returned by a formatter */
+  export interface FormattedResponse {
+    body: any;
+    headers?: Record<string, string>;
+  }
+
+  /** Builds the response body and headers for a normalized error */
+  export type Formatter = (descriptor: ErrorDescriptor) => FormattedResponse;
+
+  /** Leveled logger object such as Winston, Pino, Bunyan or console */
+  export interface LeveledLogger {
+    error?: (...args: any[]) => void;
+    warn?: (...args: any[]) => void;
+    info?: (...args: any[]) => void;
+    log?: (...args: any[]) => void;
+    [level: string]: any;
+  }
+
+  /** Log level for a response, where false or "silent" skips logging */
+  export type LogLevel = string | false;
+
+  /** Log level policy, as a function or keyed by exact status ("404") or status class ("4xx") */
+  export type LogLevelPolicy = ((status: number, err: any) => LogLevel) | Record<string, LogLevel>;
+
+  /** Response types available for content negotiation */
+  export type ResponseType = "json" | "html" | "text" | "xml";
+
+  /** Values passed to HTML renderers and views (redacted like response bodies) */
+  export interface HtmlLocals {
+    status: number;
+    /** HTTP status phrase (e.g. "Not Found") */
+    title: string;
+    code: string;
+    message: string;
+    errors: ErrorItem[];
+    requestId?: string;
+  }
+
+  /** Names of the built-in classifying handlers, in their default order */
+  export type BuiltInHandlerName =
+    | "express"
+    | "upload"
+    | "mongoose"
+    | "jwt"
+    | "security"
+    | "zod"
+    | "joi"
+    | "yup"
+    | "expressValidator"
+    | "classValidator"
+    | "appError";
+
+  /** Context passed to classifying handlers */
+  export interface HandlerContext {
+    /** Translates a message id with optional placeholder values */
+    t: (id: string, params?: Record<string, unknown>) => string;
+    /** Locale messages are translated into */
+    locale?: string;
+  }
+
+  /** Classifies an error, or returns undefined to pass it on to the next handler */
+  export type ClassifyHandler = (err: any, context: HandlerContext) => NormalizedError | undefined;
+
+  /** Custom handler inserted into the chain, named by its function name unless given a name */
+  export type CustomHandler = ClassifyHandler | { name: string; handle: ClassifyHandler };
+
+  /** Handler in a resolved chain */
+  export interface ResolvedHandler {
+    name: string;
+    handle: ClassifyHandler;
+    /** False for custom handlers inserted before or after built-in handlers */
+    builtIn: boolean;
+  }
+
+  /** Changes to the built-in handler chain */
+  export interface HandlersConfig {
+    /** Built-in handlers to remove */
+    disable?: BuiltInHandlerName[];
+    /** Replacement handle functions for built-in handlers */
+    replace?: Partial<Record<BuiltInHandlerName, ClassifyHandler>>;
+    /** Wrappers receiving a built-in handle function (or its replacement) and returning a new one */
+    wrap?: Partial<Record<BuiltInHandlerName, (handle: ClassifyHandler) => ClassifyHandler>>;
+    /** Built-in handlers moved to the front of the chain, in this order */
+    order?: BuiltInHandlerName[];
+    /** Custom handlers inserted before built-in handlers */
+    before?: Partial<Record<BuiltInHandlerName, CustomHandler | CustomHandler[]>>;
+    /** Custom handlers inserted after built-in handlers */
+    after?: Partial<Record<BuiltInHandlerName, CustomHandler | CustomHandler[]>>;
+  }
+
+  /**
+   * Override of a kind of error. Templates can use {field}, {value}, {kind} and {message} (the
+   * original message) placeholders
+   */
+  export interface ErrorOverride {
+    /** 4xx or 5xx status replacing the classified status */
+    status?: number;
+    /** Template replacing the client facing message */
+    message?: string;
+    /** Template replacing the message of each detailed error */
+    errorMessage?: string;
+    /** Send an empty errors array instead of detailed (e.g. field level) errors */
+    suppressErrors?: boolean;
+  }
+
+  /** Overrides keyed by error code (e.g. "INVALID_ID") or error name (e.g. "DocumentNotFoundError") */
+  export type ErrorOverrides = Record<string, ErrorOverride>;
+
+  /** Error event passed to onError and onResponse hooks */
+  export interface ErrorHookEvent extends Partial<NormalizedError> {
+    status: number;
+    code: string;
+    /** Original error object */
+    error: any;
+    /** Express request object */
+    req: any;
+    /** Express response object */
+    res: any;
+    /** Correlation ID of the request (only when the requestId option is enabled) */
+    requestId?: string;
+  }
+
+  /** Point in time counts of errors responded to */
+  export interface ErrorMetricsSnapshot {
+    total: number;
+    /** Counts by error code (e.g. { INVALID_ID: 3 }) */
+    byCode: Record<string, number>;
+    /** Counts by status (e.g. { 400: 3 }) */
+    byStatus: Record<string, number>;
+    /** Counts by error code and status */
+    counts: Array<{ code: string; status: number; count: number }>;
+  }
+
+  /** Error counters keyed by error code and status */
+  export interface ErrorMetrics {
+    /** Count an error response */
+    record(status: number, code: string): void;
+    snapshot(): ErrorMetricsSnapshot;
+    /** Clear all counts */
+    reset(): void;
+    /** Counts in the Prometheus text exposition format, as the http_errors_total counter */
+    toPrometheus(): string;
+    /** Route handler responding with the Prometheus text, e.g. app.get("/metrics", metrics.handler) */
+    handler(req: any, res: any): any;
+  }
+
+  /** Error report passed to reporters */
+  export interface ErrorReport {
+    /** Original error object */
+    error: any;
+    /** "error" for 5xx, "warning" otherwise */
+    level: "error" | "warning";
+    tags: { code: string; status: number; method: string; route?: string };
+    /** Authenticated user (if any) */
+    user?: { id: string };
+    /** Request details, redacted like logged data */
+    request: { method: string; url: string; path: string; route?: string; requestId?: string };
+    /** Error code, error name and route (or path) grouping reports of the same problem */
+    fingerprint: string[];
+    /** ISO 8601 time the error was handled */
+    timestamp: string;
+  }
+
+  /** Error reporting adapter, e.g. for Sentry, or a capture function */
+  export type ErrorReporter =
+    | { name?: string; capture(report: ErrorReport): void | Promise<unknown> }
+    | ((report: ErrorReport) => void | Promise<unknown>);
+
+  /** Redaction of sensitive values in response bodies and logged error data */
+  export interface RedactOptions {
+    /** Field names (redacted at any depth) or dotted paths from the root, added to the defaults */
+    paths?: string[];
+    /** Built-in pattern names or regular expressions, added to the defaults */
+    patterns?: Array<"email" | "jwt" | "creditCard" | "password" | RegExp>;
+    /** Replacement for redacted values (defaults to "[REDACTED]") */
+    censor?: string;
+  }
+
+  /**
+   * Classify an error from Express, Mongoose/MongoDB, JWT, validation libraries (Zod, Joi/celebrate,
+   * Yup, express-validator, class-validator) or the application into a plain object describing the
+   * response it should produce. Doesn't depend on Express, so the same mapping can be used in
+   * background jobs, Socket.IO handlers, GraphQL resolvers etc.
+   *
+   * Errors are passed to each handler of the chain in turn until one recognizes them, falling back to
+   * a generic 500. The chain is built from the built-in handlers and the 'handlers' config (see
+   * resolveHandlers), and can be passed already resolved. Errors no handler recognizes are unwrapped
+   * through their cause chain and AggregateError errors, merging detailed errors of inner errors.
+   * Overrides then replace the status, message or detailed errors of specific kinds of errors.
+   *
+   * Client facing messages of built-in errors are translated using the bundled (or custom) message
+   * catalogs, defaulting to English.
+   *
+   * Codes are stable identifiers listed in ERROR_CODES (custom errors can use their own), and field
+   * level error items get the code of the error they came from unless they have their own.
+   *
+   * Standard headers for the status are included in 'headers' (WWW-Authenticate for 401, Retry-After
+   * for 503/429), along with any headers declared by custom errors (err.headers).
+   *
+   * @param {*} err - Error to classify
+   * @param {Object} [options] - Translation and header options
+   * @param {string} [options.locale="en"] - Locale to translate built-in messages into
+   * @param {Object} [options.messages] - Custom message catalogs keyed by locale
+   * @param {Object|Array<Object>} [options.handlers] - Handlers config or resolved handler chain
+   * @param {Object} [options.overrides] - Status, message and error item overrides keyed by error code
+   * or name
+   * @param {string} [options.authRealm] - Realm of WWW-Authenticate Bearer challenges
+   * @param {boolean} [options.authErrorDescription=true] - Describe token errors in challenges
+   * @param {number|false} [options.retryAfter=30] - Retry-After seconds for 503/429, false to omit
+   * @returns {Object} Normalized HTTP status, error code, message, detailed errors and headers
+   */
+  export function normalizeError(
+    err: unknown,
+    options?: {
+      locale?: string;
+      messages?: Record<string, MessageCatalog>;
+      handlers?: HandlersConfig | readonly ResolvedHandler[];
+      overrides?: ErrorOverrides;
+      authRealm?: string;
+      authErrorDescription?: boolean;
+      retryAfter?: number | false;
+    }
+  ): NormalizedError;
+
+  /** Built-in classifying handlers in their default order */
+  export const BUILT_IN_HANDLERS: readonly Readonly<{
+    name: BuiltInHandlerName;
+    handle: ClassifyHandler;
+  }>[];
+
+  /**
+   * Resolve the handler chain from the built-in handlers and a handlers config. Built-in handlers
+   * can be disabled, replaced, wrapped or reordered, and custom handlers inserted before or after
+   * them. Throws a TypeError for names that aren't built-in handlers.
+   *
+   * @param {Object} [config] - Handlers config
+   * @returns {Array<Object>} Frozen chain of { name, handle, builtIn } handlers
+   */
+  export function resolveHandlers(config?: HandlersConfig): readonly ResolvedHandler[];
+
+  /**
+   * Create error counters keyed by error code and status. The error handler records every error it
+   * responds to, and the counters can be shared with other error handlers by passing them as the
+   * 'metrics' option.
+   *
+   * @returns {Object} Metrics with record(status, code), snapshot(), reset(), toPrometheus() and a
+   * handler(req, res) route responding with the Prometheus text
+   */
+  export function createErrorMetrics(): ErrorMetrics;
+
+  /**
+   * Create a reporter keeping reports in memory, for asserting on reported errors in tests
+   *
+   * @returns {{ name: string, reports: Array<Object>, capture: Function, clear: Function }} Reporter
+   * with the captured reports
+   */
+  export function createMemoryReporter(): {
+    name: "memory";
+    reports: ErrorReport[];
+    capture(report: ErrorReport): void;
+    clear(): void;
+  };
+
+  /**
+   * Create a reporter posting reports as JSON to an HTTP endpoint, such as a webhook or a log
+   * collector. Non-2xx responses and timeouts reject, which the error handler ignores. The serialized
+   * report is redacted like logged data (e.g. emails in duplicate key messages), as it leaves the app.
+   *
+   * @param {Object} options - HTTP reporter options
+   * @param {string} options.url - Endpoint receiving reports
+   * @param {string} [options.method="POST"] - Request method
+   * @param {Object} [options.headers] - Additional request headers (e.g. Authorization)
+   * @param {number} [options.timeout=5000] - Milliseconds before a request is aborted
+   * @param {Function} [options.serialize] - (report) => JSON body, defaults to the report with the
+   * error's name, message, code and stack
+   * @param {boolean|Object} [options.redact] - Redaction of sensitive values in the serialized report
+   * (defaults to true in production)
+   * @returns {{ name: string, capture: Function }} Reporter
+   */
+  export function createHttpReporter(options: {
+    url: string;
+    method?: string;
+    headers?: Record<string, string>;
+    timeout?: number;
+    serialize?: (report: ErrorReport) => unknown;
+    redact?: boolean | RedactOptions;
+  }): { name: "http"; capture(report: ErrorReport): Promise<void> };
+
+  /** Origin of a process level error, as named by the process event */
+  export type CrashOrigin = "uncaughtException" | "unhandledRejection";
+
+  /**
+   * Register uncaughtException and unhandledRejection handlers that log the error through the same
+   * logger and redaction as the middleware, then shut down gracefully: the HTTP server stops
+   * accepting connections while in-flight requests finish, onShutdown runs, the Mongoose connection
+   * is closed and the process exits with exitCode. If shutdown takes longer than the timeout, the
+   * process exits anyway. Errors during shutdown are logged without starting it again, and failing
+   * steps are logged without stopping the others. Throws a TypeError for invalid options.
+   *
+   * @param {Object} [options] - Crash handling options, plus the logging options of the middleware
+   * (logger, loggerStyle, logLevels, exposeStack, redact)
+   * @param {Object|Array<Object>} [options.server] - HTTP server(s) returned by app.listen
+   * @param {Object} [options.mongoose] - Mongoose instance or connection to close
+   * @param {Function} [options.onShutdown] - (err) => void or Promise, additional cleanup such as
+   * errorHandler.flushReports(), run after the server has closed
+   * @param {number} [options.timeout=10000] - Milliseconds to wait for shutdown before exiting
+   * @param {number} [options.exitCode=1] - Code the process exits with
+   * @param {Function} [options.exit] - (code) => void, defaults to process.exit
+   * @returns {{ shutdown: Function, uninstall: Function }} shutdown(err, origin) handling an error as
+   * the process handlers do (resolving once exit is called), and uninstall() removing the handlers
+   */
+  export function installCrashHandlers(options?: {
+    server?:
+      | { close(callback?: (err?: Error) => void): unknown }
+      | Array<{ close(callback?: (err?: Error) => void): unknown }>;
+    mongoose?: { disconnect(): Promise<unknown> } | { close(): Promise<unknown> };
+    onShutdown?: (err: any) => void | Promise<unknown>;
+    timeout?: number;
+    exitCode?: number;
+    exit?: (code: number) => void;
+    logger?: Function | LeveledLogger;
+    loggerStyle?: "message-first" | "data-first";
+    logLevels?: LogLevelPolicy;
+    exposeStack?: boolean;
+    redact?: boolean | RedactOptions;
+  }): {
+    shutdown(err: any, origin?: CrashOrigin): Promise<void>;
+    uninstall(): void;
+  };
+
+  /** Entry of the error code catalog */
+  export interface ErrorCodeEntry {
+    /** Status the code is usually sent with */
+    readonly status: number;
+    /** What the code means */
+    readonly description: string;
+  }
+
+  /**
+   * Catalog of the stable, machine-readable codes sent with built-in error responses and their field
+   * level error items, keyed by code (e.g. ERROR_CODES.TOKEN_EXPIRED)
+   */
+  export const ERROR_CODES: Readonly<Record<string, ErrorCodeEntry>>;
+
+  /** Bundled message catalogs (en, es, fr) keyed by locale */
+  export const messageCatalogs: Readonly<Record<string, Readonly<MessageCatalog>>>;
+
+  /**
+   * Create middleware for unmatched routes, responding with a 404 in the same format as
+   * createErrorHandler instead of Express's default HTML "Cannot GET" page. Add after all routes
+   * but before the error handler, passing the same formatting options to both.
+   *
+   * @param {Object} options - Configuration options object
+   * @param {string|Function} [options.format="default"] - "default", "problem" or custom formatter
+   * @param {string} [options.problemTypeBaseUrl] - Base URL for "problem" format type URIs
+   * @param {boolean|Array<string>} [options.negotiate=false] - Respond with JSON, HTML, plain text or
+   * XML depending on the Accept header (JSON when any type is accepted)
+   * @param {string|Function} [options.htmlRenderer] - View name for res.render or (locals) => html
+   * @param {boolean} [options.methodNotAllowed=false] - Respond 405 with an Allow header when the
+   * path exists for other methods
+   * @param {boolean} [options.localize] - Translate messages per request (Accept-Language/req.locale)
+   * @param {Function} [options.resolveLocale] - (req) => locale, enables localize when provided
+   * @param {string} [options.defaultLocale="en"] - Locale used when no requested locale is available
+   * @param {Object} [options.messages] - Custom message catalogs keyed by locale then message id
+   * @param {boolean} [options.requestId=false] - Add request correlation IDs to responses
+   * @param {string} [options.requestIdHeader="X-Request-Id"] - Header to read and respond with ID
+   * @param {Function} [options.generateRequestId=randomUUID] - Generates IDs for requests without one
+   * @param {boolean|Object} [options.redact] - Redact sensitive values (e.g. emails in the path),
+   * defaults to true in production
+   * @returns {Function} Express middleware (req, res, next)
+   */
+  export function createNotFoundHandler(options?: {
+    format?: "default" | "problem" | Formatter;
+    problemTypeBaseUrl?: string;
+    negotiate?: boolean | ResponseType[];
+    htmlRenderer?: string | ((locals: HtmlLocals) => string);
+    methodNotAllowed?: boolean;
+    localize?: boolean;
+    resolveLocale?: (req: any) => string | undefined;
+    defaultLocale?: string;
+    messages?: Record<string, MessageCatalog>;
+    requestId?: boolean;
+    requestIdHeader?: string;
+    generateRequestId?: () => string;
+    redact?: boolean | RedactOptions;
+  }): (req: any, res: any, next: any) => any;
+
+  /**
+   * Wrap an async route handler or middleware so rejected promises are passed to next(err), reaching
+   * the error handler created by createErrorHandler (Express 4 doesn't do this by itself).
+   *
+   * @param {Function} fn - Route handler or middleware, sync or async
+   * @returns {Function} Express middleware that forwards rejections to next
+   */
+  export function asyncHandler<T extends (...args: any[]) => any>(fn: T): T;
+
+  /**
+   * Patch an express.Router (or Express app) so every route handler and middleware registered on it
+   * forwards rejected promises to the error handler. Covers route methods (get, post etc.), all, use,
+   * route(path) chains, arrays of middleware and router.param callbacks.
+   *
+   * @param {Function} router - express.Router() instance or Express app
+   * @returns {Function} The same router, patched in place
+   */
+  export function patchRouter<T>(router: T): T;
+
+  /** Options accepted by AppError and its subclasses */
+  export interface AppErrorOptions {
+    /** Detailed or field level errors (defaults to [message]) */
+    errors?: ErrorItem[];
+    /** Machine readable error code (defaults to status phrase code, e.g. "NOT_FOUND") */
+    code?: string;
+    /** Underlying error that caused this error */
+    cause?: unknown;
+    /** Response headers to send with the error (e.g. Retry-After) */
+    headers?: Record<string, string>;
+  }
+
+  /**
+   * Base class for application errors. Errors created from this class (or its subclasses) are
+   * handled natively by createErrorHandler and normalizeError, responding with their own status,
+   * error code and detailed errors.
+   */
+  export class AppError extends Error {
+    constructor(message: string, statusCode?: number, options?: AppErrorOptions);
+    statusCode: number;
+    code: string;
+    errors: ErrorItem[];
+    headers?: Record<string, string>;
+  }
+
+  /** 400 error, defaulting the message to the HTTP status phrase */
+  export class BadRequestError extends AppError {
+    constructor(message?: string, options?: AppErrorOptions);
+  }
+
+  /** 401 error, defaulting the message to the HTTP status phrase */
+  export class UnauthorizedError extends AppError {
+    constructor(message?: string, options?: AppErrorOptions);
+  }
+
+  /** 403 error, defaulting the message to the HTTP status phrase */
+  export class ForbiddenError extends AppError {
+    constructor(message?: string, options?: AppErrorOptions);
+  }
+
+  /** 404 error, defaulting the message to the HTTP status phrase */
+  export class NotFoundError extends AppError {
+    constructor(message?: string, options?: AppErrorOptions);
+  }
+
+  /** 409 error, defaulting the message to the HTTP status phrase */
+  export class ConflictError extends AppError {
+    constructor(message?: string, options?: AppErrorOptions);
+  }
+
+  /** 422 error, defaulting the message to the HTTP status phrase */
+  export class UnprocessableEntityError extends AppError {
+    constructor(message?: string, options?: AppErrorOptions);
+  }
+
+  /** 503 error, defaulting the message to the HTTP status phrase */
+  export class ServiceUnavailableError extends AppError {
+    constructor(message?: string, options?: AppErrorOptions);
+  }
+}
 
 export = createErrorHandler;
@@ -1,5 +1,19 @@
 // Centralized error-handling middleware to catch and respond to errors in all routes
 
+import { createDebugInfo } from "./src/debug.js";
+import { createResponder } from "./src/formats.js";
+import { resolveHandlers } from "./src/handlers/index.js";
+import { createLocaleResolver, messageCatalogs } from "./src/i18n.js";
+import { createHook } from "./src/hooks.js";
+import { createErrorLogger, LOG_MESSAGES } from "./src/logging.js";
+import { createErrorMetrics } from "./src/metrics.js";
+import { createRequestIdResolver } from "./src/requestId.js";
+import normalizeError, { classifyError } from "./src/normalizeError.js";
+import createNotFoundHandler from "./src/notFound.js";
+import { validateOverrides } from "./src/overrides.js";
+import { createErrorReporter } from "./src/reporters.js";
+import { statusCodeToErrorCode } from "./src/utils.js";
+
 /**
  * express-mongo-error-handler
  * ==============================
@@ -7,7 +21,8 @@
  * backend of MERN applications.
  *
  * Why use this middleware:
- * - Provides default error handling for common express API setups (Express, Mongoose, JWT, Zod)
+ * - Provides default error handling for common express API setups (Express, Mongoose, JWT, Zod,
+ *   Joi, Yup, express-validator, class-validator)
  * - Prevents leaking of stack traces and sensitive data to clients in production
  * - Consistent response format structure ensures easy front end integration
  * - Works with custom errors, http-errors package, Zod, etc.
@@ -20,9 +35,51 @@
  * @param {Object} options - Configuration options object
  * @param {boolean} [options.logErrors=notProduction] - Option to log error details to logger
  * @param {boolean} [options.exposeStack=false] - Option to expose stack traces in error logging
- * @param {Function} [options.logger=console.error] - Accepts custom logger function for error logging
+ * @param {Function|Object} [options.logger=console.error] - Custom logger function or leveled logger
+ * @param {string} [options.loggerStyle] - "message-first" (Winston) or "data-first" (Pino/Bunyan)
+ * @param {Function|Object} [options.logLevels] - Log level policy, defaults 4xx warn and 5xx error
+ * @param {Function} [options.getUserId] - (req) => user ID included in logs (default req.user.id)
  * @param {Array<Function>} [options.customHandlers=[]] - Array of custom error handler functions
- * @returns {Function} Express error-handling middleware (err, req, res, next)
+ * @param {Object} [options.handlers] - Disable, replace, wrap or reorder built-in handlers and insert
+ * classifying handlers before or after them
+ * @param {Object} [options.overrides] - Status, message and error item template overrides keyed by
+ * error code (e.g. "INVALID_ID") or error name (e.g. "DocumentNotFoundError")
+ * @param {string|Function} [options.format="default"] - "default", "problem" or custom formatter
+ * @param {string} [options.problemTypeBaseUrl] - Base URL for "problem" format type URIs
+ * @param {boolean|Array<string>} [options.negotiate=false] - Respond with JSON, HTML, plain text or
+ * XML depending on the Accept header (JSON when any type is accepted)
+ * @param {string|Function} [options.htmlRenderer] - View name for res.render or (locals) => html
+ * @param {boolean} [options.localize] - Translate messages per request (Accept-Language/req.locale)
+ * @param {Function} [options.resolveLocale] - (req) => locale, enables localize when provided
+ * @param {string} [options.defaultLocale="en"] - Locale used when no requested locale is available
+ * @param {Object} [options.messages] - Custom message catalogs keyed by locale then message id
+ * @param {boolean} [options.requestId=false] - Add request correlation IDs to responses and logs
+ * @param {string} [options.requestIdHeader="X-Request-Id"] - Header to read and respond with ID
+ * @param {Function} [options.generateRequestId=randomUUID] - Generates IDs for requests without one
+ * @param {string} [options.authRealm] - Realm of WWW-Authenticate challenges sent with 401s
+ * @param {boolean} [options.authErrorDescription=true] - Describe token errors in 401 challenges
+ * @param {number|false} [options.retryAfter=30] - Retry-After seconds for 503/429, false to omit
+ * @param {boolean|Object} [options.redact=!notProduction] - Redact sensitive values in responses
+ * and logs, with optional field paths, patterns and censor
+ * @param {Function} [options.onError] - (event) => void, called with each classified error before
+ * the response is sent (sync or async, failures are ignored)
+ * @param {Function} [options.onResponse] - (event) => void, called after the response is sent
+ * @param {boolean|Object} [options.metrics=true] - Count errors by code and status, or metrics from
+ * createErrorMetrics to share between error handlers
+ * @param {Array<Object|Function>} [options.reporters=[]] - Error reporting adapters with
+ * capture(report), e.g. createHttpReporter or a Sentry adapter
+ * @param {Array<number|string>|Function} [options.reportOn=["5xx"]] - Statuses, status classes and
+ * error codes to report, or (status, code, err) => boolean
+ * @param {number} [options.reportSampleRate=1] - Fraction of matching errors to report (0 to 1)
+ * @param {Object} [options.reportThrottle] - Report at most { limit } errors with the same
+ * fingerprint per { interval } milliseconds
+ * @param {boolean} [options.debug=false] - Add a debug block with the error's details, stack frames,
+ * matched rule and cause chain to responses, only allowed when NODE_ENV is development or test
+ * @param {string} [options.headersSent="next"] - For errors after the response has started, "next"
+ * passes the error to Express (which closes the connection), "destroy" closes it directly
+ * @returns {Function} Express error-handling middleware (err, req, res, next), with the resolved
+ * handler chain in its 'handlers' property for debugging, error counters in 'metrics' and
+ * flushReports() resolving once scheduled reports are delivered
  */
 const createErrorHandler = (options = {}) => {
   // Check for development or test environment (false without environment variables for safety)
@@ -31,235 +88,178 @@ const createErrorHandler = (options = {}) => {
   // Set default options with destructuring for configuration
   const {
     logErrors = notProduction,
-    exposeStack = false,
-    logger = console.error,
     customHandlers = [],
+    handlers,
+    overrides,
+    format = "default",
+    problemTypeBaseUrl,
+    negotiate,
+    htmlRenderer,
+    resolveLocale,
+    localize = Boolean(resolveLocale),
+    defaultLocale,
+    messages,
+    requestIdHeader = "X-Request-Id",
+    redact = !notProduction,
+    authRealm,
+    authErrorDescription,
+    retryAfter,
+    onError,
+    onResponse,
+    metrics = true,
+    headersSent = "next",
+    debug = false,
   } = options;
 
-  // Return configured middleware function
-  return (err, req, res, next) => {
-    // Log full error on server for debugging, don't expose potentially sensitive info to client
-    if (logErrors) {
-      logger("The following error occurred:", {
-        name: err.name,
-        code: err.code,
-        message: err.message,
-        // Add stack trace to log if available and exposeStack set to true
-        ...(exposeStack && err.stack ? { stack: err.stack } : {}),
-      });
-    }
+  // Debug responses expose internal error details, so refuse them outside development and tests
+  if (debug && !notProduction) {
+    throw new Error("The debug option is only allowed when NODE_ENV is development or test");
+  }
 
-    // Run error through any custom error handlers first
-    for (const handler of customHandlers) {
-      const result = handler(err, req, res);
-      if (result) return result; // Will return response and exit if custom handler catches error
-    }
+  if (headersSent !== "next" && headersSent !== "destroy") {
+    throw new TypeError(`Invalid headersSent '${headersSent}'. Expected "next" or "destroy"`);
+  }
 
-    // --------------------------------------------------------------------------------------------
-    // EXPRESS ERRORS
-    //---------------------------------------------------------------------------------------------
+  // Send classified error to client using the configured response format, redacting the body
+  const sendError = createResponder({
+    format,
+    problemTypeBaseUrl,
+    redact,
+    negotiate,
+    htmlRenderer,
+  });
 
-    /* Catch SyntaxError from invalid JSON caught by JSON parsing middleware. Check for 400 and 'body'
-    in error so we don't catch other SyntaxErrors by mistake */
-    if (err instanceof SyntaxError && err.status === 400 && "body" in err) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid JSON payload in request",
-        errors: ["The request body JSON is invalid and could not be parsed"],
-      });
-    }
+  // Resolve the classifying handler chain once (throws on unknown handler names)
+  const handlerChain = resolveHandlers(handlers);
 
-    // Request body data is too large (default limit is 100kb)
-    if (err.type === "entity.too.large") {
-      return res.status(413).json({
-        success: false,
-        message: "JSON payload too large",
-        errors: ["The request body data exceeds the maximum size limit"],
-      });
-    }
+  // Check overrides up front (throws on unknown properties or invalid values)
+  validateOverrides(overrides);
 
-    // Catch error thrown when decoding invalid/malformed URI components (e.g. in query params)
-    if (err instanceof URIError) {
-      return res.status(400).json({
-        success: false,
-        message: "Malformed URI",
-        errors: ["The request URL contains invalid or malformed URI components"],
-      });
-    }
-
-    // --------------------------------------------------------------------------------------------
-    // MONGODB/MONGOOSE ERRORS
-    //---------------------------------------------------------------------------------------------
+  // Resolve locale of built-in messages for each request (always defaultLocale unless localize)
+  const getLocale = createLocaleResolver({ localize, resolveLocale, defaultLocale, messages });
 
-    // Catch MongoDB validation errors
-    if (err.name === "ValidationError") {
-      return res.status(400).json({
-        success: false,
-        message: "Schema validation failed",
-        // Map over each error to return array of error objects with field and message
-        errors: Object.values(err.errors).map((e) => ({
-          field: e.path,
-          message: e.message,
-        })),
-      });
-    }
+  // Reuse or generate correlation ID for each request (undefined unless requestId enabled)
+  const getRequestId = createRequestIdResolver(options);
 
-    // Catch MongoDB duplicate key errors (i.e email already exists)
-    if (err.code === 11000) {
-      // Extract fields causing duplicate key error
-      const fields = Object.keys(err.keyPattern);
-      return res.status(409).json({
-        success: false,
-        message: "Duplicate key violation",
-        errors: fields.map((field) => ({
-          field,
-          message: `Record with field '${field}' already exists`,
-        })),
-      });
-    }
+  // Log errors with severity based on response status (logger, logLevels, exposeStack etc.)
+  const logError = logErrors ? createErrorLogger({ ...options, redact }) : () => {};
 
-    // Catch MongoDB cast errors (when invalid ObjectId is used)
-    if (err.name === "CastError") {
-      return res.status(400).json({
-        success: false,
-        // err.value returns invalid value, err.path returns object path
-        message: "Invalid object ID",
-        errors: [
-          {
-            field: err.path,
-            message: `Value (${err.value}) is not valid for ${err.path}`,
-          },
-        ],
-      });
-    }
-
-    // Catch error thrown by Mongoose when trying to access a record that doesn't exist
-    if (err.name === "DocumentNotFoundError") {
-      return res.status(404).json({
-        success: false,
-        message: "Requested resource not found",
-        errors: ["The record being accessed does not exist in the database"],
-      });
-    }
+  // Hooks can't break the response, failures and rejections are ignored
+  const runOnError = createHook(onError);
+  const runOnResponse = createHook(onResponse);
 
-    // Catch errors thrown when trying to add an undefined field with strict option enabled
-    if (err.name === "StrictModeError") {
-      return res.status(400).json({
-        success: false,
-        message: "Field not defined in schema",
-        errors: [
-          {
-            field: err.path,
-            message: `The field '${err.path}' does not exist in the schema`,
-          },
-        ],
-      });
-    }
+  // Count errors responded to by code and status (own counters unless shared metrics are passed)
+  const errorMetrics = metrics === true ? createErrorMetrics() : metrics || undefined;
 
-    // Catch error thrown when trying to modify a record that was modified concurrently
-    if (err.name === "VersionError") {
-      return res.status(409).json({
-        success: false,
-        message: "Concurrent modification error",
-        errors: [
-          {
-            field: "_v",
-            message:
-              "The record being modified has been concurrently modified. Refresh and try again.",
-          },
-        ],
-      });
-    }
+  // Send matching errors to reporters after responding (throws on invalid reporters or options)
+  const errorReporter = createErrorReporter({ ...options, redact });
 
-    // Catch error thrown when trying to save the same document multiple times in parallel
-    if (err.name === "ParallelSaveError") {
-      return res.status(409).json({
-        success: false,
-        message: "Parallel save error",
-        errors: ["The same document cannot be saved multiple times in parallel"],
-      });
-    }
+  /* Errors after the response has started (e.g. while streaming a download) can't be sent as an
+  error response, so the response is left to Express or closed, and the error logged distinctly */
+  const handleStartedResponse = (err, req, res, next, requestId) => {
+    const extra = { responseStatus: res.statusCode, ...(requestId ? { requestId } : {}) };
+    logError(err, req, 500, extra, LOG_MESSAGES.headersSent);
 
-    // Catch error thrown when Mongoose cannot connect to MongoDB server
-    if (err.name === "MongooseServerSelectionError" || err.name === "MongoNetworkError") {
-      return res.status(503).json({
-        success: false,
-        message: "Database connection error",
-        errors: ["Unable to connect to MongoDB database server. Please try again later."],
-      });
-    }
+    if (headersSent === "next" && typeof next === "function") return next(err);
+    if (!res.writableEnded) res.destroy?.();
+  };
 
-    // --------------------------------------------------------------------------------------------
-    // JWT ERRORS
-    //---------------------------------------------------------------------------------------------
+  // Configured middleware function
+  const errorHandler = (err, req, res, next) => {
+    const requestId = getRequestId(req);
+    if (res.headersSent) return handleStartedResponse(err, req, res, next, requestId);
+    if (requestId) res.set(requestIdHeader, requestId);
 
-    // JWT Invalid Token Error
-    if (err.name === "JsonWebTokenError") {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid token",
-        errors: ["Provided token is invalid. Please log in again."],
-      });
-    }
+    // Run error through any custom error handlers first
+    for (const handler of customHandlers) {
+      let result;
+      try {
+        result = handler(err, req, res);
+      } catch (handlerErr) {
+        // Log the failing handler and carry on, unless it had already started responding
+        logError(handlerErr, req, 500, requestId ? { requestId } : {}, LOG_MESSAGES.handlerFailed);
+        if (res.headersSent) return handleStartedResponse(err, req, res, next, requestId);
+        continue;
+      }
 
-    // JWT Token Expired Error
-    if (err.name === "TokenExpiredError") {
-      return res.status(401).json({
-        success: false,
-        message: "Expired token",
-        errors: ["Your session has expired. Please log in again to refresh."],
-      });
-    }
+      // Handlers that responded without returning the response are handled too
+      if (result || res.headersSent) {
+        // Log with the status set by the custom handler, after it has responded
+        logError(err, req, res.statusCode, requestId ? { requestId } : {});
 
-    // Catch error thrown when JWT token is valid but not active yet (nbf claim)
-    if (err.name === "NotBeforeError") {
-      return res.status(401).json({
-        success: false,
-        message: "Token not active",
-        errors: ["The token has yet to be activated. Please try again later."],
-      });
+        // Custom handlers don't classify errors, so events only have the status and its code
+        const event = {
+          error: err,
+          req,
+          res,
+          status: res.statusCode,
+          code: statusCodeToErrorCode(res.statusCode),
+          ...(requestId ? { requestId } : {}),
+        };
+        errorMetrics?.record(event.status, event.code);
+        errorReporter.report(event);
+        runOnError(event);
+        runOnResponse(event);
+        return result; // Will return response and exit if custom handler catches error
+      }
     }
 
-    // --------------------------------------------------------------------------------------------
-    // ZOD ERRORS
-    //---------------------------------------------------------------------------------------------
-
-    // Zod validation errors
-    if (err.name === "ZodError") {
-      return res.status(400).json({
-        success: false,
-        message: "Data validation failed",
-        errors: err.issues.map((issue) => ({
-          field: issue.path.join("."), // Path is an array by default
-          message: issue.message,
-        })),
-      });
-    }
+    const locale = getLocale(req);
+    if (localize) res.set("Content-Language", locale);
 
-    // --------------------------------------------------------------------------------------------
-    // CUSTOM APP ERRORS
-    //---------------------------------------------------------------------------------------------
+    // Classify error with built-in handlers (falls back to generic 500), with standard headers
+    const { normalized, ...classification } = classifyError(err, {
+      locale,
+      messages,
+      handlers: handlerChain,
+      overrides,
+      authRealm,
+      authErrorDescription,
+      retryAfter,
+    });
 
-    /* Custom application errors for raising new errors or reusable custom errors
-    normal error objects don't have statusCode property, that's attached before calling next */
-    if (err.statusCode) {
-      return res.status(err.statusCode).json({
-        success: false,
-        message: err.message,
-        errors: err.errors || [err.message],
-      });
-    }
+    // Log full error on server for debugging, don't expose potentially sensitive info to client
+    logError(err, req, normalized.status, requestId ? { requestId } : {});
 
-    // --------------------------------------------------------------------------------------------
-    // CATCH-ALL FOR UNCAUGHT ERRORS
-    //---------------------------------------------------------------------------------------------
+    const event = { ...normalized, error: err, req, res, ...(requestId ? { requestId } : {}) };
+    errorMetrics?.record(normalized.status, normalized.code);
+    errorReporter.report(event);
+    runOnError(event);
 
-    return res.status(500).json({
-      success: false,
-      message: "Unexpected error.",
-      errors: ["An unexpected error occurred. Please try again later."],
+    const result = sendError(err, req, res, {
+      ...normalized,
+      ...(requestId ? { requestId } : {}),
+      // Original error, stack frames, matched rule and cause chain for debugging
+      ...(debug ? { debug: createDebugInfo(err, classification) } : {}),
     });
+    runOnResponse(event);
+    return result;
   };
+
+  // Expose the resolved chain, e.g. errorHandler.handlers.map((handler) => handler.name)
+  errorHandler.handlers = handlerChain;
+  // Error counters, e.g. errorHandler.metrics.snapshot() or a /metrics route with metrics.handler
+  errorHandler.metrics = errorMetrics;
+  // Wait for scheduled error reports, e.g. before exiting or in tests
+  errorHandler.flushReports = errorReporter.flush;
+  return errorHandler;
 };
 
+export { normalizeError, createNotFoundHandler, messageCatalogs, resolveHandlers };
+export { asyncHandler, patchRouter } from "./src/async.js";
+export { BUILT_IN_HANDLERS } from "./src/handlers/index.js";
+export { ERROR_CODES } from "./src/codes.js";
+export { installCrashHandlers } from "./src/crash.js";
+export { createErrorMetrics } from "./src/metrics.js";
+export { createHttpReporter, createMemoryReporter } from "./src/reporters.js";
+export {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  ServiceUnavailableError,
+} from "./src/errors.js";
 export default createErrorHandler;
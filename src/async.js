@@ -0,0 +1,111 @@
+// Helpers for forwarding rejected promises from async routes and middleware to the error handler
+
+import { METHODS } from "node:http";
+
+// Marks functions already wrapped so patched routers don't wrap them twice
+const WRAPPED = Symbol("asyncHandlerWrapped");
+
+// Express only routes errors when next receives a truthy value, so replace falsy rejections
+const forwardRejection = (next) => (reason) =>
+  next(reason || new Error(`Promise rejected with falsy value: ${reason}`));
+
+// Mark wrapper function so it isn't wrapped again
+const markWrapped = (wrapper) => {
+  wrapper[WRAPPED] = true;
+  return wrapper;
+};
+
+/**
+ * Wrap an async route handler or middleware so rejected promises are passed to next(err), reaching
+ * the error handler created by createErrorHandler (Express 4 doesn't do this by itself).
+ *
+ * Express identifies error middleware by its number of parameters, so 4 parameter functions are
+ * wrapped as (err, req, res, next) and anything else as (req, res, next).
+ *
+ * @param {Function} fn - Route handler or middleware, sync or async
+ * @returns {Function} Express middleware that forwards rejections to next
+ */
+export const asyncHandler = (fn) => {
+  if (fn[WRAPPED]) return fn;
+
+  if (fn.length === 4) {
+    return markWrapped(function (err, req, res, next) {
+      return Promise.resolve(fn.call(this, err, req, res, next)).catch(forwardRejection(next));
+    });
+  }
+  return markWrapped(function (req, res, next) {
+    return Promise.resolve(fn.call(this, req, res, next)).catch(forwardRejection(next));
+  });
+};
+
+// router.param callbacks are (req, res, next, value, name), so can't be wrapped by parameter count
+const asyncParamHandler = (fn) => {
+  if (fn[WRAPPED]) return fn;
+
+  return markWrapped(function (req, res, next, value, name) {
+    return Promise.resolve(fn.call(this, req, res, next, value, name)).catch(
+      forwardRejection(next)
+    );
+  });
+};
+
+// Mounted routers and sub-apps are functions too, but must be passed to Express unwrapped
+const isRouterOrApp = (fn) => typeof fn.handle === "function" || Array.isArray(fn.stack);
+
+// Wrap handler functions in route arguments, including (nested) arrays of middleware
+const wrapArgs = (args) =>
+  args.map((arg) => {
+    if (Array.isArray(arg)) return wrapArgs(arg);
+    if (typeof arg === "function" && !isRouterOrApp(arg)) return asyncHandler(arg);
+    return arg;
+  });
+
+// Route methods (get, post etc.) plus 'all' that accept handlers
+const ROUTE_METHODS = [...METHODS.map((method) => method.toLowerCase()), "all"];
+
+// Replace route methods on a Router, Route or app with versions that wrap their handlers
+const patchMethods = (target, methods) => {
+  for (const method of methods) {
+    const original = target[method];
+    if (typeof original !== "function") continue;
+
+    target[method] = function (...args) {
+      return original.apply(this, wrapArgs(args));
+    };
+  }
+};
+
+/**
+ * Patch an express.Router (or Express app) so every route handler and middleware registered on it
+ * forwards rejected promises to the error handler. Covers route methods (get, post etc.), all, use,
+ * route(path) chains, arrays of middleware and router.param callbacks.
+ *
+ * Only handlers registered after patching are wrapped, so patch before adding routes.
+ *
+ * @param {Function} router - express.Router() instance or Express app
+ * @returns {Function} The same router, patched in place
+ */
+export const patchRouter = (router) => {
+  patchMethods(router, [...ROUTE_METHODS, "use"]);
+
+  // Patch each Route object returned by router.route(path) (e.g. router.route("/").get(fn))
+  const originalRoute = router.route;
+  if (typeof originalRoute === "function") {
+    router.route = function (...args) {
+      const route = originalRoute.apply(this, args);
+      patchMethods(route, ROUTE_METHODS);
+      return route;
+    };
+  }
+
+  const originalParam = router.param;
+  if (typeof originalParam === "function") {
+    router.param = function (name, fn) {
+      // Leave other param signatures (e.g. deprecated router.param(fn)) untouched
+      if (typeof fn !== "function") return originalParam.apply(this, arguments);
+      return originalParam.call(this, name, asyncParamHandler(fn));
+    };
+  }
+
+  return router;
+};
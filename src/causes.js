@@ -0,0 +1,70 @@
+// Error cause chains (err.cause) and errors aggregated by AggregateError (e.g. from Promise.any)
+
+// Nested errors inspected per error, guarding against circular and very long chains
+export const MAX_NESTED_ERRORS = 25;
+
+/**
+ * Check for an AggregateError, including ones from other realms or libraries with the same shape
+ *
+ * @param {*} err - Error to check
+ * @returns {boolean} Whether the error aggregates other errors in err.errors
+ */
+export const isAggregateError = (err) =>
+  err instanceof AggregateError || (err?.name === "AggregateError" && Array.isArray(err?.errors));
+
+/**
+ * Inner errors of an error: errors it aggregates, then its cause
+ *
+ * @param {*} err - Error to unwrap
+ * @returns {Array} Aggregated errors and cause (empty if there are none)
+ */
+export const getInnerErrors = (err) => {
+  if (err === null || typeof err !== "object") return [];
+  return [
+    ...(isAggregateError(err) ? err.errors : []),
+    ...(err.cause !== undefined ? [err.cause] : []),
+  ];
+};
+
+// Serialize an error with its own cause and aggregated errors, visiting each error once
+const serializeNested = (err, stack, seen) => {
+  if (err === null || typeof err !== "object") return { message: String(err) };
+  seen.add(err);
+
+  const nested = (inner) =>
+    inner !== null &&
+    typeof inner === "object" &&
+    (seen.has(inner) || seen.size >= MAX_NESTED_ERRORS)
+      ? undefined
+      : serializeNested(inner, stack, seen);
+  const cause = err.cause !== undefined ? nested(err.cause) : undefined;
+  const aggregatedErrors = isAggregateError(err)
+    ? err.errors.map(nested).filter((inner) => inner !== undefined)
+    : [];
+
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined ? { code: err.code } : {}),
+    ...(stack && err.stack ? { stack: err.stack } : {}),
+    ...(cause ? { cause } : {}),
+    ...(aggregatedErrors.length ? { aggregatedErrors } : {}),
+  };
+};
+
+/**
+ * Serialize the cause chain and aggregated errors of an error, for logs and debug responses. Each
+ * inner error has its name, message, code and (optionally) stack, with its own cause and
+ * aggregated errors nested in the same way.
+ *
+ * @param {*} err - Outer error
+ * @param {Object} [options] - Serialization options
+ * @param {boolean} [options.stack=false] - Include stack traces of inner errors
+ * @returns {{ cause?: Object, aggregatedErrors?: Array<Object> }} Serialized inner errors, empty
+ * when the error has none
+ */
+export const serializeCauses = (err, { stack = false } = {}) => {
+  if (err === null || typeof err !== "object") return {};
+  const { cause, aggregatedErrors } = serializeNested(err, stack, new Set());
+  return { ...(cause ? { cause } : {}), ...(aggregatedErrors ? { aggregatedErrors } : {}) };
+};
@@ -0,0 +1,97 @@
+// Catalog of the stable, machine-readable error codes sent with built-in error responses
+
+/* Codes keyed by name, with the status they're usually sent with and what they mean. Clients can
+branch on codes (e.g. refresh the session on TOKEN_EXPIRED) instead of matching messages, which
+change with the locale. Errors with a statusCode and no code of their own use the code of their
+status phrase (e.g. 410 -> GONE) */
+const CODES = {
+  // Express and body-parser errors
+  INVALID_JSON: { status: 400, description: "The request body is not valid JSON" },
+  PAYLOAD_TOO_LARGE: { status: 413, description: "The request body exceeds the size limit" },
+  UNSUPPORTED_ENCODING: { status: 415, description: "The content encoding is not supported" },
+  UNSUPPORTED_CHARSET: { status: 415, description: "The charset is not supported" },
+  REQUEST_ABORTED: { status: 400, description: "The request was aborted before the body arrived" },
+  INVALID_REQUEST_SIZE: { status: 400, description: "The body size doesn't match Content-Length" },
+  TOO_MANY_PARAMETERS: { status: 413, description: "The request body has too many parameters" },
+  MALFORMED_URI: { status: 400, description: "The URL contains malformed URI components" },
+
+  // File upload errors
+  TOO_MANY_PARTS: { status: 413, description: "The multipart form has too many parts" },
+  FILE_TOO_LARGE: { status: 413, description: "An uploaded file exceeds the size limit" },
+  TOO_MANY_FILES: { status: 413, description: "Too many files were uploaded" },
+  FIELD_NAME_TOO_LONG: { status: 400, description: "A form field name is too long" },
+  FIELD_VALUE_TOO_LONG: { status: 413, description: "A form field value is too long" },
+  TOO_MANY_FIELDS: { status: 413, description: "The multipart form has too many fields" },
+  UNEXPECTED_FILE: { status: 400, description: "A file was uploaded in an unexpected field" },
+  MISSING_FIELD_NAME: { status: 400, description: "A form field is missing its name" },
+  MALFORMED_MULTIPART: { status: 400, description: "The multipart form data is malformed" },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, description: "The content type can't be uploaded" },
+
+  // Mongoose/MongoDB errors
+  SCHEMA_VALIDATION_FAILED: { status: 400, description: "The document failed schema validation" },
+  BULK_WRITE_FAILED: {
+    status: 422,
+    description: "Documents of a bulk write failed (409 when all are duplicate keys)",
+  },
+  DUPLICATE_KEY: { status: 409, description: "A record with the unique value already exists" },
+  INVALID_ID: { status: 400, description: "A value can't be cast to its schema type (e.g. an ID)" },
+  DOCUMENT_NOT_FOUND: { status: 404, description: "The document being saved no longer exists" },
+  UNKNOWN_FIELD: { status: 400, description: "A field isn't defined in the schema (strict mode)" },
+  VERSION_CONFLICT: { status: 409, description: "The document was modified concurrently" },
+  PARALLEL_SAVE: { status: 409, description: "The same document was saved in parallel" },
+  DIVERGENT_ARRAY: { status: 409, description: "A partially loaded array can't be saved safely" },
+  MODEL_OVERWRITE: { status: 500, description: "A model was compiled twice (a server bug)" },
+  DB_UNAVAILABLE: { status: 503, description: "The database can't be reached" },
+  WRITE_CONFLICT: { status: 409, description: "Another operation modified the record at once" },
+  QUERY_TIMEOUT: { status: 504, description: "The database operation timed out" },
+  DOCUMENT_VALIDATION_FAILED: {
+    status: 422,
+    description: "The document failed the collection's schema validation",
+  },
+  TRANSIENT_TRANSACTION_ERROR: {
+    status: 503,
+    description: "A transaction failed temporarily and can be retried",
+  },
+
+  // JWT and authentication errors
+  INVALID_TOKEN: { status: 401, description: "The token is invalid or revoked" },
+  TOKEN_EXPIRED: { status: 401, description: "The token has expired" },
+  TOKEN_NOT_ACTIVE: { status: 401, description: "The token isn't active yet (nbf claim)" },
+  AUTHENTICATION_REQUIRED: { status: 401, description: "No usable credentials were provided" },
+
+  // Security middleware errors
+  INVALID_CSRF_TOKEN: { status: 403, description: "The CSRF token is missing or invalid" },
+  CORS_ORIGIN_NOT_ALLOWED: { status: 403, description: "The request origin isn't allowed" },
+  TOO_MANY_REQUESTS: { status: 429, description: "The rate limit was exceeded" },
+  PERMISSION_DENIED: { status: 403, description: "A required permission is missing" },
+
+  // Validation library errors (Zod, Joi, Yup, express-validator, class-validator)
+  VALIDATION_FAILED: { status: 400, description: "The request data failed validation" },
+
+  // Not found handler
+  ROUTE_NOT_FOUND: { status: 404, description: "No route matches the URL" },
+  METHOD_NOT_ALLOWED: { status: 405, description: "The route doesn't accept the method" },
+
+  // Built-in error classes (default codes)
+  BAD_REQUEST: { status: 400, description: "The request is invalid (BadRequestError)" },
+  UNAUTHORIZED: { status: 401, description: "Authentication is required (UnauthorizedError)" },
+  FORBIDDEN: { status: 403, description: "Access is not permitted (ForbiddenError)" },
+  NOT_FOUND: { status: 404, description: "The resource doesn't exist (NotFoundError)" },
+  CONFLICT: { status: 409, description: "The request conflicts with the resource (ConflictError)" },
+  UNPROCESSABLE_ENTITY: {
+    status: 422,
+    description: "The request is semantically invalid (UnprocessableEntityError)",
+  },
+  SERVICE_UNAVAILABLE: {
+    status: 503,
+    description: "A service is temporarily unavailable (ServiceUnavailableError)",
+  },
+
+  // Catch-all
+  INTERNAL_ERROR: { status: 500, description: "An unexpected error occurred" },
+};
+
+// Frozen along with each entry, so the shared catalog can't be changed at runtime
+export const ERROR_CODES = Object.freeze(
+  Object.fromEntries(Object.entries(CODES).map(([code, entry]) => [code, Object.freeze(entry)]))
+);
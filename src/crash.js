@@ -0,0 +1,122 @@
+// Process level crash handling (uncaught exceptions and unhandled rejections) with graceful shutdown
+
+import { createErrorLogger, LOG_MESSAGES } from "./logging.js";
+
+// Milliseconds in-flight requests and cleanup get before the process exits anyway
+export const DEFAULT_SHUTDOWN_TIMEOUT = 10000;
+
+// Stop accepting connections and resolve once in-flight requests have finished
+const closeServer = (server) =>
+  new Promise((resolve, reject) => {
+    server.close((err) => (err && err.code !== "ERR_SERVER_NOT_RUNNING" ? reject(err) : resolve()));
+    // Keep-alive connections without a request in flight would otherwise hold the server open
+    server.closeIdleConnections?.();
+  });
+
+// Mongoose instances disconnect every connection, single connections close
+const closeMongoose = (mongoose) =>
+  typeof mongoose.disconnect === "function" ? mongoose.disconnect() : mongoose.close();
+
+/**
+ * Register uncaughtException and unhandledRejection handlers that log the error through the same
+ * logger and redaction as the middleware, then shut down gracefully: the HTTP server stops
+ * accepting connections while in-flight requests finish, onShutdown runs, the Mongoose connection
+ * is closed and the process exits with exitCode. If shutdown takes longer than the timeout, the
+ * process exits anyway. Errors during shutdown are logged without starting it again, and failing
+ * steps are logged without stopping the others. Throws a TypeError for invalid options.
+ *
+ * @param {Object} [options] - Crash handling options, plus the logging options of the middleware
+ * (logger, loggerStyle, logLevels, exposeStack, redact)
+ * @param {Object|Array<Object>} [options.server] - HTTP server(s) returned by app.listen
+ * @param {Object} [options.mongoose] - Mongoose instance or connection to close
+ * @param {Function} [options.onShutdown] - (err) => void or Promise, additional cleanup such as
+ * errorHandler.flushReports(), run after the server has closed
+ * @param {number} [options.timeout=10000] - Milliseconds to wait for shutdown before exiting
+ * @param {number} [options.exitCode=1] - Code the process exits with
+ * @param {Function} [options.exit] - (code) => void, defaults to process.exit
+ * @returns {{ shutdown: Function, uninstall: Function }} shutdown(err, origin) handling an error as
+ * the process handlers do (resolving once exit is called), and uninstall() removing the handlers
+ */
+export const installCrashHandlers = ({
+  server,
+  mongoose,
+  onShutdown,
+  timeout = DEFAULT_SHUTDOWN_TIMEOUT,
+  exitCode = 1,
+  exit = (code) => process.exit(code),
+  ...logOptions
+} = {}) => {
+  const servers = [].concat(server ?? []);
+  if (servers.some((s) => typeof s?.close !== "function")) {
+    throw new TypeError("Invalid server. Expected an HTTP server with close()");
+  }
+  if (
+    mongoose !== undefined &&
+    typeof mongoose?.disconnect !== "function" &&
+    typeof mongoose?.close !== "function"
+  ) {
+    throw new TypeError("Invalid mongoose. Expected a Mongoose instance or connection");
+  }
+  if (typeof timeout !== "number" || !(timeout > 0)) {
+    throw new TypeError(`Invalid timeout '${timeout}'. Expected milliseconds above 0`);
+  }
+  if (!Number.isInteger(exitCode)) {
+    throw new TypeError(`Invalid exitCode '${exitCode}'. Expected an integer`);
+  }
+
+  // Same redaction default as the middleware (check for development or test environment)
+  const notProduction = process.env.NODE_ENV === "development" || process.env.NODE_ENV === "test";
+  const { redact = !notProduction } = logOptions;
+  const logError = createErrorLogger({ ...logOptions, redact });
+
+  // Run a shutdown step, logging failures so the remaining steps still run
+  const runStep = async (step) => {
+    try {
+      await step();
+    } catch (stepErr) {
+      logError(stepErr, undefined, 500, {}, LOG_MESSAGES.shutdownFailed);
+    }
+  };
+
+  let shuttingDown;
+
+  const shutdown = (err, origin = "uncaughtException") => {
+    logError(err, undefined, 500, { origin }, LOG_MESSAGES[origin] ?? LOG_MESSAGES.error);
+    if (shuttingDown) return shuttingDown;
+
+    // Requests still in flight may need the database, so it's closed after the servers
+    const cleanup = (async () => {
+      await Promise.all(servers.map((s) => runStep(() => closeServer(s))));
+      if (onShutdown) await runStep(() => onShutdown(err));
+      if (mongoose) await runStep(() => closeMongoose(mongoose));
+    })();
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        const timeoutErr = new Error(`Shutdown timed out after ${timeout}ms, exiting anyway`);
+        logError(timeoutErr, undefined, 500, {}, LOG_MESSAGES.shutdownFailed);
+        resolve();
+      }, timeout);
+    });
+
+    shuttingDown = Promise.race([cleanup, timedOut]).then(() => {
+      clearTimeout(timer);
+      exit(exitCode);
+    });
+    return shuttingDown;
+  };
+
+  const onUncaughtException = (err) => shutdown(err, "uncaughtException");
+  const onUnhandledRejection = (reason) => shutdown(reason, "unhandledRejection");
+  process.on("uncaughtException", onUncaughtException);
+  process.on("unhandledRejection", onUnhandledRejection);
+
+  return {
+    shutdown,
+    uninstall: () => {
+      process.off("uncaughtException", onUncaughtException);
+      process.off("unhandledRejection", onUnhandledRejection);
+    },
+  };
+};
@@ -0,0 +1,72 @@
+// Debug details of handled errors for development responses
+
+import { serializeCauses } from "./causes.js";
+
+// V8 stack frame, e.g. "    at getUser (/app/routes/users.js:12:5)" or "    at /app/index.js:3:1"
+const STACK_FRAME = /^\s*at (?:(.+?) \()?(.+?)(?::(\d+):(\d+))?\)?$/;
+
+// Package of a node_modules path, e.g. "express" or "@scope/name" (the innermost for nested ones)
+const getPackageName = (file) =>
+  /.*node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+)/.exec(file)?.[1].replace(/\\/g, "/");
+
+/**
+ * Parse a V8 stack trace into frames, collapsing runs of node_modules frames into a single entry
+ * naming the packages (e.g. { collapsed: 4, packages: ["express"] }), so application frames stand
+ * out. Lines that aren't frames (the error message) are skipped.
+ *
+ * @param {string} [stack] - err.stack
+ * @returns {Array<Object>} Frames ({ function?, file, line?, column? }) and collapsed runs
+ */
+export const parseStack = (stack) => {
+  if (typeof stack !== "string") return [];
+
+  const frames = stack
+    .split("\n")
+    .map((line) => STACK_FRAME.exec(line))
+    .filter(Boolean) // e.g. a bare "at " line in a multi-line message or hand-built stack
+    .map(([, fn, file, lineNumber, column]) => ({
+      ...(fn ? { function: fn } : {}),
+      file,
+      ...(lineNumber ? { line: Number(lineNumber), column: Number(column) } : {}),
+    }));
+
+  return frames.reduce((parsed, frame) => {
+    const packageName = getPackageName(frame.file);
+    if (!packageName) return [...parsed, frame];
+
+    const previous = parsed[parsed.length - 1];
+    if (previous?.collapsed) {
+      previous.collapsed += 1;
+      if (!previous.packages.includes(packageName)) previous.packages.push(packageName);
+      return parsed;
+    }
+    return [...parsed, { collapsed: 1, packages: [packageName] }];
+  }, []);
+};
+
+/**
+ * Build the debug block added to responses in debug mode: the original error's name, code,
+ * message and parsed stack frames, the classification rule that matched, and its cause chain and
+ * aggregated errors.
+ *
+ * @param {*} err - Handled error
+ * @param {Object} classification - Result of classifyError
+ * @param {string} classification.rule - Name of the handler that recognized the error, or "catchAll"
+ * @param {*} classification.source - Error the handler recognized (an inner error if unwrapped)
+ * @returns {Object} Debug block
+ */
+export const createDebugInfo = (err, { rule, source }) => {
+  const isObject = typeof err === "object" && err !== null;
+  return {
+    name: isObject ? err.name : typeof err,
+    ...(isObject && err.code !== undefined ? { code: err.code } : {}),
+    message: isObject ? err.message : String(err),
+    stack: isObject ? parseStack(err.stack) : [],
+    rule: {
+      handler: rule,
+      // Name of the inner error recognized by the handler (e.g. "ValidationError" behind a wrapper)
+      ...(source !== err ? { matchedError: source?.name } : {}),
+    },
+    ...serializeCauses(err),
+  };
+};
@@ -0,0 +1,81 @@
+// Error classes for raising application errors that are recognized by the error handler
+
+import { STATUS_CODES } from "node:http";
+import { statusCodeToErrorCode } from "./utils.js";
+
+/**
+ * Base class for application errors. Errors created from this class (or its subclasses) are
+ * handled natively by createErrorHandler and normalizeError, responding with their own status,
+ * error code and detailed errors.
+ *
+ * @param {string} message - Client friendly error message
+ * @param {number} [statusCode=500] - HTTP status code to respond with
+ * @param {Object} [options] - Additional error details
+ * @param {Array<string|Object>} [options.errors=[message]] - Detailed or field level errors
+ * @param {string} [options.code] - Machine readable error code (defaults to status phrase code)
+ * @param {*} [options.cause] - Underlying error that caused this error
+ * @param {Object} [options.headers] - Response headers to send with the error (e.g. Retry-After)
+ */
+export class AppError extends Error {
+  constructor(message, statusCode = 500, { errors, code, cause, headers } = {}) {
+    super(message, cause !== undefined ? { cause } : undefined);
+    this.name = new.target.name; // Use subclass name (e.g. NotFoundError) for logging
+    this.statusCode = statusCode;
+    this.code = code || statusCodeToErrorCode(statusCode);
+    this.errors = errors || [message];
+    if (headers) this.headers = headers;
+  }
+}
+
+/* Subclasses for common HTTP errors. Each accepts (message?, options?) with the same options as
+AppError, defaulting the message to the HTTP status phrase.
+e.g. throw new NotFoundError("User not found", { code: "USER_NOT_FOUND" }) */
+
+// 400 - Request is invalid or malformed
+export class BadRequestError extends AppError {
+  constructor(message = STATUS_CODES[400], options = {}) {
+    super(message, 400, options);
+  }
+}
+
+// 401 - Authentication is required or has failed
+export class UnauthorizedError extends AppError {
+  constructor(message = STATUS_CODES[401], options = {}) {
+    super(message, 401, options);
+  }
+}
+
+// 403 - Authenticated but not permitted to access the resource
+export class ForbiddenError extends AppError {
+  constructor(message = STATUS_CODES[403], options = {}) {
+    super(message, 403, options);
+  }
+}
+
+// 404 - Requested resource does not exist
+export class NotFoundError extends AppError {
+  constructor(message = STATUS_CODES[404], options = {}) {
+    super(message, 404, options);
+  }
+}
+
+// 409 - Request conflicts with the current state of the resource
+export class ConflictError extends AppError {
+  constructor(message = STATUS_CODES[409], options = {}) {
+    super(message, 409, options);
+  }
+}
+
+// 422 - Request is well formed but semantically invalid
+export class UnprocessableEntityError extends AppError {
+  constructor(message = STATUS_CODES[422], options = {}) {
+    super(message, 422, options);
+  }
+}
+
+// 503 - Service or dependency is temporarily unavailable
+export class ServiceUnavailableError extends AppError {
+  constructor(message = STATUS_CODES[503], options = {}) {
+    super(message, 503, options);
+  }
+}
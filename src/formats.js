@@ -0,0 +1,201 @@
+// Response formatters for each supported error response format
+
+import { STATUS_CODES } from "node:http";
+import { createRedactor } from "./redact.js";
+import { RESPONSE_TYPES, renderHtml, renderText, renderXml } from "./renderers.js";
+
+/* Formatters receive a normalized error descriptor and return the response body and any headers
+to send with it. The descriptor contains:
+- status: HTTP status code
+- code: Stable identifier for the kind of error (e.g. "DUPLICATE_KEY")
+- message: Short client friendly error message
+- errors: Array of detailed error messages or { field, message } objects
+- headers: Standard headers for the status and headers declared by the error (if any)
+- requestId: Correlation ID of the request (only when the requestId option is enabled)
+- debug: Original error details, stack frames, matched rule and cause chain (only in debug mode)
+- error: The original error object
+- req: The Express request object */
+
+// Content type sent with problem details documents
+export const PROBLEM_CONTENT_TYPE = "application/problem+json";
+
+/**
+ * Format the default response envelope ({ success, code, message, errors })
+ *
+ * @param {Object} descriptor - Normalized error descriptor
+ * @returns {{ body: Object }} Default JSON response body
+ */
+export const formatDefault = ({ code, message, errors, requestId, debug }) => ({
+  body: {
+    success: false,
+    code,
+    message,
+    errors,
+    ...(requestId ? { requestId } : {}),
+    ...(debug ? { debug } : {}),
+  },
+});
+
+/**
+ * Format an RFC 9457 (formerly RFC 7807) problem details document.
+ *
+ * Without a type base URL the problem type is "about:blank", in which case the RFC recommends the
+ * title matches the HTTP status phrase, so the error message is moved to 'detail'. With a base URL
+ * each error type gets its own URI (e.g. https://example.com/problems/duplicate-key).
+ *
+ * @param {Object} descriptor - Normalized error descriptor
+ * @param {string} [typeBaseUrl] - Base URL used to build the problem 'type' URI
+ * @returns {{ body: Object, headers: Object }} Problem details body and content type header
+ */
+export const formatProblem = (
+  { status, code, message, errors, requestId, debug, req },
+  typeBaseUrl
+) => {
+  // Problem type slugs are the error code in kebab case (e.g. DUPLICATE_KEY -> duplicate-key)
+  const slug = code.toLowerCase().replace(/_/g, "-");
+  const instance = req?.originalUrl;
+
+  return {
+    body: {
+      type: typeBaseUrl ? `${typeBaseUrl}${slug}` : "about:blank",
+      title: typeBaseUrl ? message : STATUS_CODES[status] || message,
+      status,
+      detail: message,
+      ...(instance ? { instance } : {}),
+      code, // Extension members with the error code and field level and detailed error messages
+      errors,
+      ...(requestId ? { requestId } : {}),
+      ...(debug ? { debug } : {}),
+    },
+    headers: { "Content-Type": PROBLEM_CONTENT_TYPE },
+  };
+};
+
+/**
+ * Resolve the 'format' option into a formatter function
+ *
+ * @param {string|Function} format - "default", "problem" or a custom formatter function
+ * @param {Object} [options] - Options used by built-in formats
+ * @param {string} [options.problemTypeBaseUrl] - Base URL for problem 'type' URIs
+ * @returns {Function} Formatter (descriptor) => { body, headers }
+ */
+export const resolveFormatter = (format, { problemTypeBaseUrl } = {}) => {
+  if (typeof format === "function") return format;
+  if (format === "default") return formatDefault;
+  if (format === "problem") return (descriptor) => formatProblem(descriptor, problemTypeBaseUrl);
+
+  throw new TypeError(
+    `Invalid format '${format}'. Expected "default", "problem" or a formatter function`
+  );
+};
+
+/**
+ * Resolve the 'negotiate' option into the response types to choose from with the Accept header
+ *
+ * @param {boolean|Array<string>} negotiate - true for all types, or types in order of preference
+ * @returns {Array<string>} Response types, only "json" when negotiation is off
+ */
+export const resolveResponseTypes = (negotiate) => {
+  if (!negotiate) return ["json"];
+  if (negotiate === true) return RESPONSE_TYPES;
+
+  const invalid = negotiate.find((type) => !RESPONSE_TYPES.includes(type));
+  if (invalid !== undefined) {
+    throw new TypeError(
+      `Invalid response type '${invalid}'. Expected one of: ${RESPONSE_TYPES.join(", ")}`
+    );
+  }
+  return negotiate;
+};
+
+/**
+ * Create a function that sends a normalized error using the configured response format. Shared by
+ * createErrorHandler and createNotFoundHandler so both respond in the same format.
+ *
+ * With content negotiation the formatted body is sent as JSON or XML, or the error is rendered as
+ * plain text or an HTML page, depending on the Accept header. JSON is sent when the client accepts
+ * any type (or none of the available ones), so APIs keep their JSON responses.
+ *
+ * @param {Object} [options] - Formatting options
+ * @param {string|Function} [options.format="default"] - "default", "problem" or custom formatter
+ * @param {string} [options.problemTypeBaseUrl] - Base URL for "problem" format type URIs
+ * @param {boolean|Object} [options.redact] - Redaction of sensitive values in the response body
+ * @param {boolean|Array<string>} [options.negotiate=false] - Choose the response type from the
+ * Accept header, out of "json", "html", "text" and "xml" (or the given types)
+ * @param {string|Function} [options.htmlRenderer] - View name rendered with res.render, or
+ * (locals) => html, defaulting to a built-in minimal page
+ * @returns {Function} (err, req, res, normalized) => res, sending the formatted response
+ */
+export const createResponder = ({
+  format = "default",
+  problemTypeBaseUrl,
+  redact,
+  negotiate = false,
+  htmlRenderer,
+} = {}) => {
+  // Resolve built-in format name or custom formatter function (throws on invalid format)
+  const formatter = resolveFormatter(format, { problemTypeBaseUrl });
+  const redactBody = createRedactor(redact);
+  const responseTypes = resolveResponseTypes(negotiate);
+
+  // Send HTML from the configured view or function, falling back to the built-in page on failure
+  const sendHtml = (res, status, locals) => {
+    try {
+      if (typeof htmlRenderer === "string") {
+        // res.render throws synchronously when the view can't be looked up
+        res.status(status).render(htmlRenderer, locals, (renderErr, html) => {
+          res.type("html").send(renderErr ? renderHtml(locals) : html);
+        });
+        return res;
+      }
+      if (typeof htmlRenderer === "function") {
+        return res.status(status).type("html").send(htmlRenderer(locals));
+      }
+    } catch {
+      // Fall through to the built-in page
+    }
+    return res.status(status).type("html").send(renderHtml(locals));
+  };
+
+  return (err, req, res, normalized) => {
+    const { status, code, message, errors, requestId } = normalized;
+    const { body, headers = {} } = formatter({ ...normalized, error: err, req });
+    if (normalized.headers) res.set(normalized.headers); // e.g. WWW-Authenticate, Retry-After
+
+    const type = responseTypes.length > 1 ? req.accepts(responseTypes) || "json" : "json";
+    if (responseTypes.length > 1) res.vary("Accept");
+
+    if (type === "json") {
+      // Set before res.json, which keeps an existing content type
+      if (Object.keys(headers).length) res.set(headers);
+      // Redact the formatted body, so custom formatters can't leak values either
+      return res.status(status).json(redactBody(body));
+    }
+
+    // Other types replace the JSON content type of the formatter, keeping its other headers
+    const isContentType = ([name]) => name.toLowerCase() === "content-type";
+    const contentType = Object.entries(headers).find(isContentType)?.[1];
+    const otherHeaders = Object.entries(headers).filter((header) => !isContentType(header));
+    if (otherHeaders.length) res.set(Object.fromEntries(otherHeaders));
+
+    if (type === "xml") {
+      const problem = contentType === PROBLEM_CONTENT_TYPE;
+      return res
+        .status(status)
+        .type(problem ? "application/problem+xml" : "application/xml")
+        .send(renderXml(redactBody(body), problem));
+    }
+
+    // Text and HTML are rendered from the classified error rather than the formatted body
+    const locals = redactBody({
+      status,
+      title: STATUS_CODES[status] || "Error",
+      code,
+      message,
+      errors,
+      ...(requestId ? { requestId } : {}),
+    });
+    if (type === "text") return res.status(status).type("text").send(renderText(locals));
+    return sendHtml(res, status, locals);
+  };
+};
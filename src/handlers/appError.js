@@ -0,0 +1,37 @@
+// Application errors (AppError class hierarchy and errors with a statusCode)
+
+import { STATUS_CODES } from "node:http";
+import { AppError } from "../errors.js";
+import { statusCodeToErrorCode, toErrorList } from "../utils.js";
+
+// Classify errors raised by the application with their own status, code and errors
+export const handleAppError = (err) => {
+  // Errors created from the exported AppError class hierarchy carry their own code and errors
+  if (err instanceof AppError) {
+    return {
+      status: err.statusCode,
+      code: err.code,
+      message: err.message,
+      errors: toErrorList(err.errors, [err.message]),
+      ...(err.headers ? { headers: err.headers } : {}),
+    };
+  }
+
+  /* Custom application errors for raising new errors or reusable custom errors
+  normal error objects don't have statusCode property, that's attached before calling next */
+  if (err.statusCode) {
+    /* http-errors marks messages that aren't safe to send to clients with expose: false (the default
+    for 5xx errors), so they're replaced with the status phrase */
+    const message = err.expose === false ? STATUS_CODES[err.statusCode] || "Error" : err.message;
+    // Errors can supply their own code (e.g. err.code = "USER_NOT_FOUND"), unless not exposed
+    const ownCode = err.expose !== false && typeof err.code === "string" && err.code;
+    return {
+      status: err.statusCode,
+      code: ownCode || statusCodeToErrorCode(err.statusCode),
+      message,
+      errors: toErrorList(err.expose !== false && err.errors, [message]),
+      // Headers declared by the error (http-errors and Express use err.headers too)
+      ...(err.headers ? { headers: err.headers } : {}),
+    };
+  }
+};
@@ -0,0 +1,25 @@
+// Response builders shared by built-in handlers
+
+import { toFieldPath } from "../utils.js";
+
+// Generic 500 response for errors that aren't classified by any built-in handler
+export const internalError = (t) => ({
+  status: 500,
+  code: "INTERNAL_ERROR",
+  message: t("internalError"),
+  errors: [t("internalError.detail")],
+});
+
+// 400 response listing field level errors from a validation library
+export const validationFailed = (t, errors) => ({
+  status: 400,
+  code: "VALIDATION_FAILED",
+  message: t("dataValidation"),
+  errors,
+});
+
+// Field level error, or a plain message for errors on the whole value (empty path)
+export const fieldError = (path, message) => {
+  const field = toFieldPath(path);
+  return field ? { field, message } : message;
+};
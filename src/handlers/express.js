@@ -0,0 +1,63 @@
+// Express and body-parser errors
+
+import { formatBytes } from "../utils.js";
+
+/* body-parser failures by error type, with the message id of each. Detail messages can include
+the unsupported encoding or charset */
+const BODY_PARSER_ERRORS = {
+  "encoding.unsupported": { status: 415, code: "UNSUPPORTED_ENCODING", id: "unsupportedEncoding" },
+  "charset.unsupported": { status: 415, code: "UNSUPPORTED_CHARSET", id: "unsupportedCharset" },
+  "request.aborted": { status: 400, code: "REQUEST_ABORTED", id: "requestAborted" },
+  "request.size.invalid": { status: 400, code: "INVALID_REQUEST_SIZE", id: "invalidRequestSize" },
+  "parameters.too.many": { status: 413, code: "TOO_MANY_PARAMETERS", id: "tooManyParameters" },
+};
+
+// Classify errors from Express and its body parsers (invalid JSON, body too large etc.)
+export const handleExpressError = (err, { t }) => {
+  /* Catch SyntaxError from invalid JSON caught by JSON parsing middleware. Check for 400 and 'body'
+  in error so we don't catch other SyntaxErrors by mistake */
+  if (err instanceof SyntaxError && err.status === 400 && "body" in err) {
+    return {
+      status: 400,
+      code: "INVALID_JSON",
+      message: t("invalidJson"),
+      errors: [t("invalidJson.detail")],
+    };
+  }
+
+  // Request body data is too large (default limit is 100kb)
+  if (err.type === "entity.too.large") {
+    return {
+      status: 413,
+      code: "PAYLOAD_TOO_LARGE",
+      message: t("payloadTooLarge"),
+      // body-parser sets the limit in bytes
+      errors: [
+        typeof err.limit === "number"
+          ? t("payloadTooLarge.limit", { limit: formatBytes(err.limit) })
+          : t("payloadTooLarge.detail"),
+      ],
+    };
+  }
+
+  // Other body-parser failures (unsupported encoding or charset, aborted request etc.)
+  if (Object.hasOwn(BODY_PARSER_ERRORS, err.type)) {
+    const { status, code, id } = BODY_PARSER_ERRORS[err.type];
+    return {
+      status,
+      code,
+      message: t(id),
+      errors: [t(`${id}.detail`, { encoding: err.encoding, charset: err.charset })],
+    };
+  }
+
+  // Catch error thrown when decoding invalid/malformed URI components (e.g. in query params)
+  if (err instanceof URIError) {
+    return {
+      status: 400,
+      code: "MALFORMED_URI",
+      message: t("malformedUri"),
+      errors: [t("malformedUri.detail")],
+    };
+  }
+};
@@ -0,0 +1,103 @@
+// Registry of named handlers classifying errors, checked in order until one recognizes the error
+
+import { handleAppError } from "./appError.js";
+import { handleExpressError } from "./express.js";
+import { handleJwtError } from "./jwt.js";
+import { handleMongooseError } from "./mongoose.js";
+import { handleSecurityError } from "./security.js";
+import { handleUploadError } from "./upload.js";
+import {
+  handleClassValidatorError,
+  handleExpressValidatorError,
+  handleJoiError,
+  handleYupError,
+  handleZodError,
+} from "./validation.js";
+
+/* Handlers receive (err, context) and return a normalized error ({ status, code, message, errors,
+headers? }), or undefined to pass the error on to the next handler. The context contains:
+- t: Translates a message id with optional placeholder values, e.g. t("duplicateKey.field", { field })
+- locale: Locale messages are translated into */
+
+// Built-in handlers in their default order. App errors are last as other errors can have statusCode
+export const BUILT_IN_HANDLERS = Object.freeze([
+  { name: "express", handle: handleExpressError },
+  { name: "upload", handle: handleUploadError },
+  { name: "mongoose", handle: handleMongooseError },
+  { name: "jwt", handle: handleJwtError },
+  { name: "security", handle: handleSecurityError },
+  { name: "zod", handle: handleZodError },
+  { name: "joi", handle: handleJoiError },
+  { name: "yup", handle: handleYupError },
+  { name: "expressValidator", handle: handleExpressValidatorError },
+  { name: "classValidator", handle: handleClassValidatorError },
+  { name: "appError", handle: handleAppError },
+]);
+
+// Resolved chains by handlers config, so normalizeError doesn't resolve the same config every call
+const resolvedChains = new WeakMap();
+
+// Custom handlers can be functions (named by function name) or { name, handle } objects
+const toCustomHandler = (handler, position) => {
+  const { name, handle } =
+    typeof handler === "function" ? { name: handler.name, handle: handler } : handler;
+  if (typeof handle !== "function") {
+    throw new TypeError(`Invalid handler ${position}. Expected a function or { name, handle }`);
+  }
+  return { name: name || `custom (${position})`, handle, builtIn: false };
+};
+
+/**
+ * Resolve the handler chain from the built-in handlers and a handlers config. Built-in handlers
+ * can be disabled, replaced, wrapped or reordered, and custom handlers inserted before or after
+ * them. Throws a TypeError for names that aren't built-in handlers.
+ *
+ * @param {Object} [config] - Handlers config
+ * @param {Array<string>} [config.disable] - Names of built-in handlers to remove
+ * @param {Object} [config.replace] - Replacement handle functions keyed by built-in name
+ * @param {Object} [config.wrap] - (handle) => handle wrappers keyed by built-in name
+ * @param {Array<string>} [config.order] - Built-in names moved to the front, in this order
+ * @param {Object} [config.before] - Custom handlers (or arrays of them) keyed by built-in name
+ * @param {Object} [config.after] - Custom handlers (or arrays of them) keyed by built-in name
+ * @returns {Array<Object>} Frozen chain of { name, handle, builtIn } handlers
+ */
+export const resolveHandlers = (config = {}) => {
+  if (resolvedChains.has(config)) return resolvedChains.get(config);
+
+  const { disable = [], replace = {}, wrap = {}, order = [], before = {}, after = {} } = config;
+  const names = BUILT_IN_HANDLERS.map((handler) => handler.name);
+
+  // Check every referenced name up front, so typos fail when the error handler is created
+  const referenced = [
+    ...disable,
+    ...order,
+    ...[replace, wrap, before, after].flatMap((option) => Object.keys(option)),
+  ];
+  const unknown = referenced.find((name) => !names.includes(name));
+  if (unknown !== undefined) {
+    throw new TypeError(`Unknown handler '${unknown}'. Built-in handlers: ${names.join(", ")}`);
+  }
+
+  const ordered = [
+    ...order.map((name) => BUILT_IN_HANDLERS.find((handler) => handler.name === name)),
+    ...BUILT_IN_HANDLERS.filter((handler) => !order.includes(handler.name)),
+  ];
+
+  const chain = ordered.flatMap(({ name, handle }) => {
+    const customBefore = []
+      .concat(before[name] ?? [])
+      .map((h) => toCustomHandler(h, `before ${name}`));
+    const customAfter = []
+      .concat(after[name] ?? [])
+      .map((h) => toCustomHandler(h, `after ${name}`));
+    if (disable.includes(name)) return [...customBefore, ...customAfter];
+
+    const base = replace[name] ?? handle;
+    const builtIn = { name, handle: wrap[name] ? wrap[name](base) : base, builtIn: true };
+    return [...customBefore, builtIn, ...customAfter];
+  });
+
+  const resolved = Object.freeze(chain.map((handler) => Object.freeze(handler)));
+  resolvedChains.set(config, resolved);
+  return resolved;
+};
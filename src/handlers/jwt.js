@@ -0,0 +1,34 @@
+// jsonwebtoken errors
+
+// Classify invalid, expired and not yet active JWT errors
+export const handleJwtError = (err, { t }) => {
+  // JWT Invalid Token Error
+  if (err.name === "JsonWebTokenError") {
+    return {
+      status: 401,
+      code: "INVALID_TOKEN",
+      message: t("invalidToken"),
+      errors: [t("invalidToken.detail")],
+    };
+  }
+
+  // JWT Token Expired Error
+  if (err.name === "TokenExpiredError") {
+    return {
+      status: 401,
+      code: "TOKEN_EXPIRED",
+      message: t("tokenExpired"),
+      errors: [t("tokenExpired.detail")],
+    };
+  }
+
+  // Catch error thrown when JWT token is valid but not active yet (nbf claim)
+  if (err.name === "NotBeforeError") {
+    return {
+      status: 401,
+      code: "TOKEN_NOT_ACTIVE",
+      message: t("tokenNotActive"),
+      errors: [t("tokenNotActive.detail")],
+    };
+  }
+};
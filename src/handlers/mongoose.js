@@ -0,0 +1,227 @@
+// Mongoose and MongoDB driver errors
+
+import { internalError } from "./common.js";
+
+// MongoDB driver errors carry labels such as "TransientTransactionError" (errorLabels array)
+const hasErrorLabel = (err, label) =>
+  typeof err.hasErrorLabel === "function"
+    ? err.hasErrorLabel(label)
+    : Array.isArray(err.errorLabels) && err.errorLabels.includes(label);
+
+/* Fields failing a collection's $jsonSchema validator, from the errInfo of a document validation
+failure (code 121): properties with failed rules and missing required properties */
+const getSchemaRuleFields = (errInfo) =>
+  (errInfo?.details?.schemaRulesNotSatisfied ?? []).flatMap((rule) => [
+    ...(rule.propertiesNotSatisfied ?? []).map((property) => property.propertyName),
+    ...(rule.missingProperties ?? []),
+  ]);
+
+// Classify Mongoose errors and MongoDB server and driver errors
+export const handleMongooseError = (err, { t }) => {
+  /* Catch MongoDB validation errors. Joi and Yup errors share the name, but Mongoose's 'errors' is
+  an object keyed by path rather than an array */
+  if (err.name === "ValidationError" && err.errors && !Array.isArray(err.errors)) {
+    return {
+      status: 400,
+      code: "SCHEMA_VALIDATION_FAILED",
+      message: t("schemaValidation"),
+      // Map over each error to return array of error objects with field and message
+      errors: Object.values(err.errors).map((e) => ({
+        field: e.path,
+        message: e.message,
+      })),
+    };
+  }
+
+  /* Catch MongoDB bulk write errors (e.g. insertMany with ordered: false), with an error for each
+  failed document prefixed by its index. Checked before duplicate keys, since the driver copies
+  the code of the first write error onto the bulk error */
+  if (err.name === "MongoBulkWriteError") {
+    const writeErrors = [].concat(err.writeErrors ?? []);
+    const allDuplicates = writeErrors.every((e) => e.code === 11000);
+    return {
+      status: allDuplicates ? 409 : 422,
+      code: "BULK_WRITE_FAILED",
+      message: t("bulkWriteFailed"),
+      errors: writeErrors.flatMap(({ code, index, err: writeError }) => {
+        const fields =
+          code === 11000
+            ? Object.keys(writeError?.keyPattern ?? {})
+            : getSchemaRuleFields(writeError?.errInfo);
+        if (!fields.length) return [t("bulkWriteFailed.item", { index })];
+        return fields.map((field) => ({
+          field: `${index}.${field}`,
+          message:
+            code === 11000
+              ? t("duplicateKey.field", { field })
+              : t("documentValidation.field", { field }),
+          code: code === 11000 ? "DUPLICATE_KEY" : "DOCUMENT_VALIDATION_FAILED",
+        }));
+      }),
+    };
+  }
+
+  // Catch MongoDB duplicate key errors (i.e email already exists)
+  if (err.code === 11000) {
+    /* Extract fields causing duplicate key error. Errors without keyPattern (e.g. only an errmsg
+    from older servers) get a generic detail */
+    const fields = Object.keys(err.keyPattern ?? {});
+    return {
+      status: 409,
+      code: "DUPLICATE_KEY",
+      message: t("duplicateKey"),
+      errors: fields.length
+        ? fields.map((field) => ({
+            field,
+            message: t("duplicateKey.field", { field }),
+          }))
+        : [t("duplicateKey.detail")],
+    };
+  }
+
+  // Catch MongoDB cast errors (when invalid ObjectId is used)
+  if (err.name === "CastError") {
+    return {
+      status: 400,
+      code: "INVALID_ID",
+      // err.value returns invalid value, err.path returns object path
+      message: t("castError"),
+      errors: [
+        {
+          field: err.path,
+          message: t("castError.field", { field: err.path, value: err.value }),
+        },
+      ],
+    };
+  }
+
+  // Catch error thrown by Mongoose when trying to access a record that doesn't exist
+  if (err.name === "DocumentNotFoundError") {
+    return {
+      status: 404,
+      code: "DOCUMENT_NOT_FOUND",
+      message: t("documentNotFound"),
+      errors: [t("documentNotFound.detail")],
+    };
+  }
+
+  // Catch errors thrown when trying to add an undefined field with strict option enabled
+  if (err.name === "StrictModeError") {
+    return {
+      status: 400,
+      code: "UNKNOWN_FIELD",
+      message: t("strictMode"),
+      errors: [
+        {
+          field: err.path,
+          message: t("strictMode.field", { field: err.path }),
+        },
+      ],
+    };
+  }
+
+  // Catch error thrown when trying to modify a record that was modified concurrently
+  if (err.name === "VersionError") {
+    return {
+      status: 409,
+      code: "VERSION_CONFLICT",
+      message: t("versionConflict"),
+      errors: [
+        {
+          field: "_v",
+          message: t("versionConflict.field"),
+        },
+      ],
+    };
+  }
+
+  // Catch error thrown when trying to save the same document multiple times in parallel
+  if (err.name === "ParallelSaveError") {
+    return {
+      status: 409,
+      code: "PARALLEL_SAVE",
+      message: t("parallelSave"),
+      errors: [t("parallelSave.detail")],
+    };
+  }
+
+  // Catch error thrown when Mongoose tries to save an array loaded with a projection or $elemMatch
+  if (err.name === "DivergentArrayError") {
+    return {
+      status: 409,
+      code: "DIVERGENT_ARRAY",
+      message: t("divergentArray"),
+      errors: [t("divergentArray.detail")],
+    };
+  }
+
+  // Catch error thrown when a model is compiled twice, a server bug the client can't act on
+  if (err.name === "OverwriteModelError") {
+    return { ...internalError(t), code: "MODEL_OVERWRITE" };
+  }
+
+  // Catch error thrown when the MongoDB server (or driver) cannot be reached or was disconnected
+  if (
+    [
+      "MongooseServerSelectionError",
+      "MongoServerSelectionError",
+      "MongoNetworkError",
+      "MongoNetworkTimeoutError",
+      "MongoNotConnectedError",
+      "DisconnectedError",
+    ].includes(err.name)
+  ) {
+    return {
+      status: 503,
+      code: "DB_UNAVAILABLE",
+      message: t("dbUnavailable"),
+      errors: [t("dbUnavailable.detail")],
+    };
+  }
+
+  // Catch write conflicts between concurrent operations or transactions (code 112)
+  if (err.name === "MongoServerError" && err.code === 112) {
+    return {
+      status: 409,
+      code: "WRITE_CONFLICT",
+      message: t("writeConflict"),
+      errors: [t("writeConflict.detail")],
+    };
+  }
+
+  // Catch operations exceeding their maxTimeMS limit (code 50)
+  if (err.name === "MongoServerError" && err.code === 50) {
+    return {
+      status: 504,
+      code: "QUERY_TIMEOUT",
+      message: t("queryTimeout"),
+      errors: [t("queryTimeout.detail")],
+    };
+  }
+
+  // Catch documents rejected by a collection's $jsonSchema validator (code 121)
+  if (err.name === "MongoServerError" && err.code === 121) {
+    const fields = getSchemaRuleFields(err.errInfo);
+    return {
+      status: 422,
+      code: "DOCUMENT_VALIDATION_FAILED",
+      message: t("documentValidation"),
+      errors: fields.length
+        ? fields.map((field) => ({ field, message: t("documentValidation.field", { field }) }))
+        : [t("documentValidation.detail")],
+    };
+  }
+
+  // Catch transaction errors the driver marks as safe to retry
+  if (
+    hasErrorLabel(err, "TransientTransactionError") ||
+    hasErrorLabel(err, "UnknownTransactionCommitResult")
+  ) {
+    return {
+      status: 503,
+      code: "TRANSIENT_TRANSACTION_ERROR",
+      message: t("transientTransaction"),
+      errors: [t("transientTransaction.detail")],
+    };
+  }
+};
@@ -0,0 +1,94 @@
+// Security middleware errors (CSRF, CORS, rate limiting, authentication and permissions)
+
+import { handleJwtError } from "./jwt.js";
+
+/* express-jwt error codes for requests without usable credentials. invalid_token errors carry the
+jsonwebtoken error in 'inner' */
+const CREDENTIALS_ERROR_CODES = new Set([
+  "credentials_required",
+  "credentials_bad_scheme",
+  "credentials_bad_format",
+]);
+
+// rate-limiter-flexible rejects with a RateLimiterRes (not an Error) when points are consumed
+const isRateLimiterRes = (err) =>
+  err.constructor?.name === "RateLimiterRes" ||
+  (typeof err.msBeforeNext === "number" && typeof err.remainingPoints === "number");
+
+// Classify errors passed to next() by security middleware, which would otherwise become 500s
+export const handleSecurityError = (err, context) => {
+  const { t } = context;
+
+  // csurf (and csrf-csrf) reject missing or invalid CSRF tokens with code EBADCSRFTOKEN
+  if (err.code === "EBADCSRFTOKEN") {
+    return {
+      status: 403,
+      code: "INVALID_CSRF_TOKEN",
+      message: t("invalidCsrfToken"),
+      errors: [t("invalidCsrfToken.detail")],
+    };
+  }
+
+  /* The cors package passes the error from its origin callback on as is, conventionally
+  new Error("Not allowed by CORS"). Only that exact message is matched, as other errors mentioning
+  CORS (e.g. failing to load a CORS config) aren't origin rejections. Errors with a status are left
+  to the app error handler */
+  if (
+    err.name === "CorsError" ||
+    (err.status === undefined &&
+      err.statusCode === undefined &&
+      err.message === "Not allowed by CORS")
+  ) {
+    return {
+      status: 403,
+      code: "CORS_ORIGIN_NOT_ALLOWED",
+      message: t("corsNotAllowed"),
+      errors: [t("corsNotAllowed.detail")],
+    };
+  }
+
+  // rate-limiter-flexible rejection, retried once the current duration has passed
+  if (isRateLimiterRes(err)) {
+    const seconds = Math.max(1, Math.ceil(err.msBeforeNext / 1000));
+    return {
+      status: 429,
+      code: "TOO_MANY_REQUESTS",
+      message: t("rateLimited"),
+      errors: [t("rateLimited.detail", { seconds })],
+      headers: { "Retry-After": String(seconds) },
+    };
+  }
+
+  // express-jwt-permissions rejects requests missing a required permission
+  if (err.code === "permission_denied") {
+    return {
+      status: 403,
+      code: "PERMISSION_DENIED",
+      message: t("permissionDenied"),
+      errors: [t("permissionDenied.detail")],
+    };
+  }
+
+  /* express-jwt errors only have 'status', so they aren't recognized as app errors. http-errors 401s
+  have the same name and status, but also a statusCode, and are left to the app error handler */
+  if (err.name === "UnauthorizedError" && err.status === 401 && err.statusCode === undefined) {
+    if (CREDENTIALS_ERROR_CODES.has(err.code)) {
+      return {
+        status: 401,
+        code: "AUTHENTICATION_REQUIRED",
+        message: t("authenticationRequired"),
+        errors: [t("authenticationRequired.detail")],
+      };
+    }
+    // Expired and not yet active tokens keep their own codes, revoked tokens are invalid tokens
+    const classified = err.inner && handleJwtError(err.inner, context);
+    return (
+      classified || {
+        status: 401,
+        code: "INVALID_TOKEN",
+        message: t("invalidToken"),
+        errors: [t("invalidToken.detail")],
+      }
+    );
+  }
+};
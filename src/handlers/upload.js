@@ -0,0 +1,55 @@
+// File upload errors from multer and busboy
+
+// multer errors by MulterError code, with the message id of each
+const MULTER_ERRORS = {
+  LIMIT_PART_COUNT: { status: 413, code: "TOO_MANY_PARTS", id: "tooManyParts" },
+  LIMIT_FILE_SIZE: { status: 413, code: "FILE_TOO_LARGE", id: "fileTooLarge" },
+  LIMIT_FILE_COUNT: { status: 413, code: "TOO_MANY_FILES", id: "tooManyFiles" },
+  LIMIT_FIELD_KEY: { status: 400, code: "FIELD_NAME_TOO_LONG", id: "fieldNameTooLong" },
+  LIMIT_FIELD_VALUE: { status: 413, code: "FIELD_VALUE_TOO_LONG", id: "fieldValueTooLong" },
+  LIMIT_FIELD_COUNT: { status: 413, code: "TOO_MANY_FIELDS", id: "tooManyFields" },
+  LIMIT_UNEXPECTED_FILE: { status: 400, code: "UNEXPECTED_FILE", id: "unexpectedFile" },
+  MISSING_FIELD_NAME: { status: 400, code: "MISSING_FIELD_NAME", id: "missingFieldName" },
+};
+
+// Errors busboy emits for truncated or malformed multipart bodies (passed on as is by multer)
+const BUSBOY_MALFORMED =
+  /^(Unexpected end of (form|file|multipart data)|Malformed (part header|urlencoded form)|Multipart: Boundary not found)/;
+
+// Errors busboy throws for requests without a multipart or urlencoded content type
+const BUSBOY_UNSUPPORTED = /^(Unsupported content type|Missing Content-Type)/;
+
+// Classify multer limit errors and busboy multipart parsing errors
+export const handleUploadError = (err, { t }) => {
+  // Catch multer upload limit errors, with the name of the file field when available
+  if (err.name === "MulterError" && Object.hasOwn(MULTER_ERRORS, err.code)) {
+    const { status, code, id } = MULTER_ERRORS[err.code];
+    const detail = t(`${id}.detail`);
+    return {
+      status,
+      code,
+      message: t(id),
+      errors: [err.field ? { field: err.field, message: detail } : detail],
+    };
+  }
+
+  // Catch busboy errors for truncated or malformed multipart form data
+  if (typeof err.message === "string" && !err.statusCode && BUSBOY_MALFORMED.test(err.message)) {
+    return {
+      status: 400,
+      code: "MALFORMED_MULTIPART",
+      message: t("malformedMultipart"),
+      errors: [t("malformedMultipart.detail")],
+    };
+  }
+
+  // Catch busboy errors for uploads sent without a multipart content type
+  if (typeof err.message === "string" && !err.statusCode && BUSBOY_UNSUPPORTED.test(err.message)) {
+    return {
+      status: 415,
+      code: "UNSUPPORTED_MEDIA_TYPE",
+      message: t("unsupportedMediaType"),
+      errors: [t("unsupportedMediaType.detail")],
+    };
+  }
+};
@@ -0,0 +1,92 @@
+// Validation library errors (Zod, Joi/celebrate, Yup, express-validator, class-validator)
+
+import { fieldError, validationFailed } from "./common.js";
+
+// Flatten express-validator errors, including oneOf() alternatives and checkExact() unknown fields
+const flattenExpressValidatorErrors = (items) =>
+  items.flatMap((item) => {
+    if (item.nestedErrors) return flattenExpressValidatorErrors(item.nestedErrors.flat(Infinity));
+    if (item.fields) return item.fields.map(({ path }) => fieldError(path, item.msg));
+    return [fieldError(item.path ?? item.param, item.msg)]; // 'param' in express-validator < 7
+  });
+
+// Flatten nested class-validator errors, with one error per failed constraint
+const flattenClassValidatorErrors = (items, parentPath = []) =>
+  items.flatMap(({ property, constraints = {}, children = [] }) => {
+    const path = [...parentPath, property];
+    return [
+      ...Object.values(constraints).map((message) => fieldError(path, message)),
+      ...flattenClassValidatorErrors(children, path),
+    ];
+  });
+
+// class-validator's validate() resolves (and its users throw) an array of ValidationError objects
+const isClassValidatorErrors = (err) =>
+  Array.isArray(err) &&
+  err.length > 0 &&
+  err.every((e) => typeof e?.property === "string" && (e.constraints || Array.isArray(e.children)));
+
+// Classify Zod validation errors
+export const handleZodError = (err, { t }) => {
+  // Zod validation errors
+  if (err.name === "ZodError") {
+    return {
+      status: 400,
+      code: "VALIDATION_FAILED",
+      message: t("dataValidation"),
+      errors: err.issues.map((issue) => ({
+        field: issue.path.join("."), // Path is an array by default
+        message: issue.message,
+      })),
+    };
+  }
+};
+
+// Classify Joi validation errors, including those wrapped by celebrate
+export const handleJoiError = (err, { t }) => {
+  // Joi validation errors (with abortEarly: false, details has every failed rule)
+  if (err.isJoi || (err.name === "ValidationError" && Array.isArray(err.details))) {
+    return validationFailed(
+      t,
+      err.details.map((detail) => fieldError(detail.path, detail.message))
+    );
+  }
+
+  // celebrate errors hold a Joi error for each failed request segment (body, query, params etc.)
+  if (err.details instanceof Map) {
+    return validationFailed(
+      t,
+      [...err.details.values()].flatMap((joiError) =>
+        joiError.details.map((detail) => fieldError(detail.path, detail.message))
+      )
+    );
+  }
+};
+
+// Classify Yup validation errors
+export const handleYupError = (err, { t }) => {
+  // Yup validation errors (inner is empty with the default abortEarly: true)
+  if (err.name === "ValidationError" && Array.isArray(err.inner)) {
+    const inner = err.inner.length ? err.inner : [err];
+    return validationFailed(
+      t,
+      inner.map((e) => fieldError(e.path, e.message))
+    );
+  }
+};
+
+// Classify express-validator validation results
+export const handleExpressValidatorError = (err, { t }) => {
+  // Result of validationResult(req), passed to next() or thrown with result.throw()
+  if (typeof err.array === "function" && typeof err.mapped === "function") {
+    return validationFailed(t, flattenExpressValidatorErrors(err.array()));
+  }
+};
+
+// Classify arrays of class-validator errors
+export const handleClassValidatorError = (err, { t }) => {
+  // Array of ValidationError objects from validate(), with nested errors in 'children'
+  if (isClassValidatorErrors(err)) {
+    return validationFailed(t, flattenClassValidatorErrors(err));
+  }
+};
@@ -0,0 +1,74 @@
+// Standard HTTP headers required (or recommended) alongside error statuses
+
+// Seconds clients are asked to wait before retrying 503 and 429 responses
+export const DEFAULT_RETRY_AFTER = 30;
+
+// Token errors get RFC 6750 error="invalid_token" in their Bearer challenge
+const TOKEN_ERROR_CODES = new Set(["INVALID_TOKEN", "TOKEN_EXPIRED", "TOKEN_NOT_ACTIVE"]);
+
+/* Auth-param values are quoted strings limited to printable ASCII without quotes or backslashes
+(RFC 6750), so translated messages have accents stripped (e.g. "Token no válido" becomes "Token no valido") */
+const toAuthParam = (value) =>
+  String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\x20-\x21\x23-\x5b\x5d-\x7e]/g, "");
+
+const hasHeader = (headers, name) =>
+  Object.keys(headers).some((header) => header.toLowerCase() === name.toLowerCase());
+
+/**
+ * Build a Bearer authentication challenge for the WWW-Authenticate header
+ *
+ * @param {Object} [params] - Challenge parameters, omitted when undefined
+ * @param {string} [params.realm] - Protection space of the API
+ * @param {string} [params.error] - RFC 6750 error code (e.g. "invalid_token")
+ * @param {string} [params.errorDescription] - Human readable description of the error
+ * @returns {string} Challenge, e.g. Bearer realm="api", error="invalid_token"
+ */
+export const bearerChallenge = ({ realm, error, errorDescription } = {}) => {
+  const params = Object.entries({ realm, error, error_description: errorDescription })
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}="${toAuthParam(value)}"`);
+  return params.length ? `Bearer ${params.join(", ")}` : "Bearer";
+};
+
+/**
+ * Add the headers an error status calls for to a normalized error, unless the error already
+ * declares them: a WWW-Authenticate challenge for 401 (required by RFC 9110) and Retry-After for
+ * 503 and 429. Returns the normalized error unchanged when there are no headers to send.
+ *
+ * @param {Object} normalized - Normalized error, optionally with headers declared by the error
+ * @param {Object} [options] - Header options
+ * @param {string} [options.authRealm] - Realm of Bearer challenges
+ * @param {boolean} [options.authErrorDescription=true] - Include error_description in challenges
+ * for token errors
+ * @param {number|false} [options.retryAfter=30] - Retry-After seconds, or false to omit
+ * @returns {Object} Normalized error with headers
+ */
+export const addProtocolHeaders = (
+  normalized,
+  { authRealm, authErrorDescription = true, retryAfter = DEFAULT_RETRY_AFTER } = {}
+) => {
+  const { status, code, message } = normalized;
+  const headers = { ...normalized.headers };
+
+  if (status === 401 && !hasHeader(headers, "WWW-Authenticate")) {
+    const isTokenError = TOKEN_ERROR_CODES.has(code);
+    headers["WWW-Authenticate"] = bearerChallenge({
+      realm: authRealm,
+      ...(isTokenError ? { error: "invalid_token" } : {}),
+      ...(isTokenError && authErrorDescription ? { errorDescription: message } : {}),
+    });
+  }
+
+  if (
+    (status === 503 || status === 429) &&
+    retryAfter !== false &&
+    !hasHeader(headers, "Retry-After")
+  ) {
+    headers["Retry-After"] = String(retryAfter);
+  }
+
+  return Object.keys(headers).length ? { ...normalized, headers } : normalized;
+};
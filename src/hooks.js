@@ -0,0 +1,21 @@
+// Error event hooks, isolated so they can never break the error response
+
+/**
+ * Wrap an onError or onResponse hook so it can't affect the response: errors thrown by sync hooks
+ * and rejections of async hooks are ignored, and async hooks aren't awaited.
+ *
+ * @param {Function} [hook] - (event) => void or Promise
+ * @returns {Function} (event) => undefined, calling the hook if there is one
+ */
+export const createHook = (hook) => {
+  if (typeof hook !== "function") return () => {};
+
+  return (event) => {
+    try {
+      const result = hook(event);
+      if (typeof result?.then === "function") result.then(undefined, () => {});
+    } catch {
+      // Ignore failing hooks, the response is sent regardless
+    }
+  };
+};
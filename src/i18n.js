@@ -0,0 +1,125 @@
+// Message catalogs, locale negotiation and translation of client facing error messages
+
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+import fr from "./locales/fr.js";
+
+// Locale used when no requested locale has a catalog, and for ids missing from other catalogs
+export const DEFAULT_LOCALE = "en";
+
+// Bundled message catalogs keyed by locale, frozen so they can be exported safely
+export const messageCatalogs = Object.freeze({
+  en: Object.freeze(en),
+  es: Object.freeze(es),
+  fr: Object.freeze(fr),
+});
+
+// Language part of a locale tag (e.g. "es-MX" -> "es")
+const baseLanguage = (locale) => locale.split("-")[0];
+
+// Catalog of a locale, ignoring properties inherited from Object (e.g. a "constructor" locale)
+const getCatalog = (catalogs, locale) =>
+  Object.hasOwn(catalogs, locale) ? catalogs[locale] : undefined;
+
+// Merged catalogs are cached per custom messages object so they're only built once per handler
+const mergedCache = new WeakMap();
+
+/* Merge custom messages over the bundled catalogs, lowercasing locales so lookups are case
+insensitive (e.g. "pt-BR" and "pt-br"). The merged object has no prototype, so a "__proto__" locale
+is stored like any other */
+const mergeCatalogs = (messages) => {
+  if (!messages) return messageCatalogs;
+  if (mergedCache.has(messages)) return mergedCache.get(messages);
+
+  const merged = Object.assign(Object.create(null), messageCatalogs);
+  for (const [locale, catalog] of Object.entries(messages)) {
+    const key = locale.toLowerCase();
+    merged[key] = { ...getCatalog(merged, key), ...catalog };
+  }
+  mergedCache.set(messages, merged);
+  return merged;
+};
+
+// Replace {placeholder} values in a message template, leaving unknown placeholders as is
+export const interpolate = (template, params = {}) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+
+/**
+ * Create a translate function for a locale, falling back to the base language (e.g. "es" for
+ * "es-MX") and then English for any missing message ids.
+ *
+ * @param {string} [locale="en"] - Locale to translate messages into
+ * @param {Object} [messages] - Custom catalogs keyed by locale, merged over bundled catalogs
+ * @returns {Function} (id, params) => translated and interpolated message
+ */
+export const createTranslator = (locale = DEFAULT_LOCALE, messages) => {
+  const catalogs = mergeCatalogs(messages);
+  const tag = String(locale).toLowerCase();
+  const candidates = [tag, baseLanguage(tag), DEFAULT_LOCALE].map((candidate) =>
+    getCatalog(catalogs, candidate)
+  );
+
+  return (id, params) => {
+    const template = candidates.find((catalog) => catalog?.[id] !== undefined)?.[id] ?? id;
+    return interpolate(template, params);
+  };
+};
+
+// Parse Accept-Language header into locale tags ordered by quality (e.g. "fr;q=0.8, es" -> es, fr)
+const parseAcceptLanguage = (header) => {
+  if (typeof header !== "string") return [];
+
+  return header
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const quality = params.find((param) => param.trim().startsWith("q="));
+      return { tag: tag.trim(), q: quality ? Number(quality.trim().slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q) // Stable sort keeps header order for equal quality
+    .map(({ tag }) => tag);
+};
+
+// Find the catalog locale matching a requested tag exactly or by base language
+const matchLocale = (tag, catalogs) => {
+  const locale = tag.toLowerCase();
+  if (getCatalog(catalogs, locale)) return locale;
+  return getCatalog(catalogs, baseLanguage(locale)) ? baseLanguage(locale) : undefined;
+};
+
+/**
+ * Create a function resolving the locale to respond in for a request. When localization is off
+ * the default locale is always used. Otherwise the locale comes from the resolveLocale option if
+ * provided, or req.locale (e.g. set by i18n middleware) followed by the Accept-Language header.
+ *
+ * @param {Object} options - Localization options shared by the error and not found handlers
+ * @param {boolean} [options.localize] - Negotiate locale per request (default true if
+ * resolveLocale is provided)
+ * @param {Function} [options.resolveLocale] - (req) => locale tag for the request
+ * @param {string} [options.defaultLocale="en"] - Locale used when no requested locale is available
+ * @param {Object} [options.messages] - Custom catalogs keyed by locale
+ * @returns {Function} (req) => locale
+ */
+export const createLocaleResolver = ({
+  resolveLocale,
+  localize = Boolean(resolveLocale),
+  defaultLocale = DEFAULT_LOCALE,
+  messages,
+} = {}) => {
+  if (!localize) return () => defaultLocale;
+
+  const catalogs = mergeCatalogs(messages);
+
+  return (req) => {
+    const requested = resolveLocale
+      ? [resolveLocale(req)]
+      : [req.locale, ...parseAcceptLanguage(req.headers?.["accept-language"])];
+
+    for (const tag of requested) {
+      const locale = typeof tag === "string" && matchLocale(tag, catalogs);
+      if (locale) return locale;
+    }
+    return defaultLocale;
+  };
+};
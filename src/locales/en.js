@@ -0,0 +1,115 @@
+// English messages (default locale). Placeholders in braces are replaced with error values
+
+export default {
+  // Express errors
+  invalidJson: "Invalid JSON payload in request",
+  "invalidJson.detail": "The request body JSON is invalid and could not be parsed",
+  payloadTooLarge: "JSON payload too large",
+  "payloadTooLarge.detail": "The request body data exceeds the maximum size limit",
+  "payloadTooLarge.limit": "The request body data exceeds the maximum size limit of {limit}",
+  malformedUri: "Malformed URI",
+  "malformedUri.detail": "The request URL contains invalid or malformed URI components",
+  unsupportedEncoding: "Unsupported content encoding",
+  "unsupportedEncoding.detail": "The content encoding '{encoding}' is not supported",
+  unsupportedCharset: "Unsupported charset",
+  "unsupportedCharset.detail": "The charset '{charset}' is not supported",
+  requestAborted: "Request aborted",
+  "requestAborted.detail": "The request was aborted before the body was received",
+  invalidRequestSize: "Invalid request size",
+  "invalidRequestSize.detail": "The request body size does not match the Content-Length header",
+  tooManyParameters: "Too many parameters",
+  "tooManyParameters.detail": "The request body has more parameters than allowed",
+
+  // File upload errors
+  tooManyParts: "Too many parts",
+  "tooManyParts.detail": "The multipart form has more parts than allowed",
+  fileTooLarge: "File too large",
+  "fileTooLarge.detail": "The uploaded file exceeds the maximum size limit",
+  tooManyFiles: "Too many files",
+  "tooManyFiles.detail": "More files were uploaded than allowed",
+  fieldNameTooLong: "Field name too long",
+  "fieldNameTooLong.detail": "A form field name exceeds the maximum length",
+  fieldValueTooLong: "Field value too long",
+  "fieldValueTooLong.detail": "The form field value exceeds the maximum length",
+  tooManyFields: "Too many fields",
+  "tooManyFields.detail": "The multipart form has more fields than allowed",
+  unexpectedFile: "Unexpected file",
+  "unexpectedFile.detail": "A file was uploaded in a field that doesn't accept files",
+  missingFieldName: "Missing field name",
+  "missingFieldName.detail": "A form field is missing its name",
+  malformedMultipart: "Malformed multipart data",
+  "malformedMultipart.detail": "The multipart form data is malformed or incomplete",
+  unsupportedMediaType: "Unsupported content type",
+  "unsupportedMediaType.detail": "The request content type is not supported for form uploads",
+
+  // MongoDB/Mongoose errors
+  schemaValidation: "Schema validation failed",
+  duplicateKey: "Duplicate key violation",
+  "duplicateKey.field": "Record with field '{field}' already exists",
+  "duplicateKey.detail": "A record with the same unique value already exists",
+  castError: "Invalid object ID",
+  "castError.field": "Value ({value}) is not valid for {field}",
+  documentNotFound: "Requested resource not found",
+  "documentNotFound.detail": "The record being accessed does not exist in the database",
+  strictMode: "Field not defined in schema",
+  "strictMode.field": "The field '{field}' does not exist in the schema",
+  versionConflict: "Concurrent modification error",
+  "versionConflict.field":
+    "The record being modified has been concurrently modified. Refresh and try again.",
+  parallelSave: "Parallel save error",
+  "parallelSave.detail": "The same document cannot be saved multiple times in parallel",
+  dbUnavailable: "Database connection error",
+  "dbUnavailable.detail": "Unable to connect to MongoDB database server. Please try again later.",
+  bulkWriteFailed: "Bulk write failed",
+  "bulkWriteFailed.item": "The document at index {index} could not be written",
+  divergentArray: "Array modification conflict",
+  "divergentArray.detail":
+    "The array was loaded partially and cannot be saved safely. Reload the record and try again.",
+  writeConflict: "Write conflict",
+  "writeConflict.detail":
+    "The record was modified by another operation at the same time. Please try again.",
+  queryTimeout: "Database operation timed out",
+  "queryTimeout.detail":
+    "The database operation took too long to complete. Please try again later.",
+  documentValidation: "Document validation failed",
+  "documentValidation.field": "The field '{field}' does not satisfy the collection schema",
+  "documentValidation.detail": "The document does not satisfy the collection schema",
+  transientTransaction: "Transaction failed",
+  "transientTransaction.detail":
+    "The transaction failed because of a temporary database issue. Please try again.",
+
+  // JWT errors
+  invalidToken: "Invalid token",
+  "invalidToken.detail": "Provided token is invalid. Please log in again.",
+  tokenExpired: "Expired token",
+  "tokenExpired.detail": "Your session has expired. Please log in again to refresh.",
+  tokenNotActive: "Token not active",
+  "tokenNotActive.detail": "The token has yet to be activated. Please try again later.",
+
+  // Security middleware errors
+  invalidCsrfToken: "Invalid CSRF token",
+  "invalidCsrfToken.detail":
+    "The form has expired or is missing its CSRF token. Refresh the page and try again.",
+  corsNotAllowed: "Origin not allowed",
+  "corsNotAllowed.detail": "Cross-origin requests from this origin are not allowed",
+  rateLimited: "Too many requests",
+  "rateLimited.detail": "Too many requests. Please try again in {seconds} seconds.",
+  authenticationRequired: "Authentication required",
+  "authenticationRequired.detail": "No valid authorization token was provided. Please log in.",
+  permissionDenied: "Permission denied",
+  "permissionDenied.detail": "You don't have permission to perform this action",
+
+  // Zod errors
+  dataValidation: "Data validation failed",
+
+  // Catch-all
+  internalError: "Unexpected error.",
+  "internalError.detail": "An unexpected error occurred. Please try again later.",
+
+  // Not found handler
+  routeNotFound: "Route not found",
+  "routeNotFound.detail": "The route {method} {path} does not exist",
+  methodNotAllowed: "Method not allowed",
+  "methodNotAllowed.detail":
+    "The {method} method is not allowed for {path}. Allowed methods: {allowed}",
+};
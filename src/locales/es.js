@@ -0,0 +1,123 @@
+// Spanish messages. Placeholders in braces are replaced with error values
+
+export default {
+  // Express errors
+  invalidJson: "Carga JSON no válida en la solicitud",
+  "invalidJson.detail": "El JSON del cuerpo de la solicitud no es válido y no se pudo analizar",
+  payloadTooLarge: "Carga JSON demasiado grande",
+  "payloadTooLarge.detail":
+    "Los datos del cuerpo de la solicitud superan el tamaño máximo permitido",
+  "payloadTooLarge.limit":
+    "Los datos del cuerpo de la solicitud superan el tamaño máximo de {limit}",
+  malformedUri: "URI mal formada",
+  "malformedUri.detail":
+    "La URL de la solicitud contiene componentes URI no válidos o mal formados",
+  unsupportedEncoding: "Codificación de contenido no admitida",
+  "unsupportedEncoding.detail": "La codificación de contenido '{encoding}' no es compatible",
+  unsupportedCharset: "Juego de caracteres no admitido",
+  "unsupportedCharset.detail": "El juego de caracteres '{charset}' no es compatible",
+  requestAborted: "Solicitud cancelada",
+  "requestAborted.detail": "La solicitud se canceló antes de recibir el cuerpo",
+  invalidRequestSize: "Tamaño de solicitud no válido",
+  "invalidRequestSize.detail":
+    "El tamaño del cuerpo de la solicitud no coincide con la cabecera Content-Length",
+  tooManyParameters: "Demasiados parámetros",
+  "tooManyParameters.detail": "El cuerpo de la solicitud tiene más parámetros de los permitidos",
+
+  // File upload errors
+  tooManyParts: "Demasiadas partes",
+  "tooManyParts.detail": "El formulario multipart tiene más partes de las permitidas",
+  fileTooLarge: "Archivo demasiado grande",
+  "fileTooLarge.detail": "El archivo subido supera el tamaño máximo permitido",
+  tooManyFiles: "Demasiados archivos",
+  "tooManyFiles.detail": "Se subieron más archivos de los permitidos",
+  fieldNameTooLong: "Nombre de campo demasiado largo",
+  "fieldNameTooLong.detail": "El nombre de un campo del formulario supera la longitud máxima",
+  fieldValueTooLong: "Valor de campo demasiado largo",
+  "fieldValueTooLong.detail": "El valor del campo del formulario supera la longitud máxima",
+  tooManyFields: "Demasiados campos",
+  "tooManyFields.detail": "El formulario multipart tiene más campos de los permitidos",
+  unexpectedFile: "Archivo inesperado",
+  "unexpectedFile.detail": "Se subió un archivo en un campo que no acepta archivos",
+  missingFieldName: "Falta el nombre del campo",
+  "missingFieldName.detail": "A un campo del formulario le falta el nombre",
+  malformedMultipart: "Datos multipart mal formados",
+  "malformedMultipart.detail":
+    "Los datos del formulario multipart están mal formados o incompletos",
+  unsupportedMediaType: "Tipo de contenido no admitido",
+  "unsupportedMediaType.detail":
+    "El tipo de contenido de la solicitud no es compatible con el envío de formularios",
+
+  // MongoDB/Mongoose errors
+  schemaValidation: "La validación del esquema falló",
+  duplicateKey: "Violación de clave duplicada",
+  "duplicateKey.field": "Ya existe un registro con el campo '{field}'",
+  "duplicateKey.detail": "Ya existe un registro con el mismo valor único",
+  castError: "ID de objeto no válido",
+  "castError.field": "El valor ({value}) no es válido para {field}",
+  documentNotFound: "No se encontró el recurso solicitado",
+  "documentNotFound.detail": "El registro al que se intenta acceder no existe en la base de datos",
+  strictMode: "Campo no definido en el esquema",
+  "strictMode.field": "El campo '{field}' no existe en el esquema",
+  versionConflict: "Error de modificación concurrente",
+  "versionConflict.field":
+    "El registro fue modificado por otra operación al mismo tiempo. Actualice e inténtelo de nuevo.",
+  parallelSave: "Error de guardado en paralelo",
+  "parallelSave.detail": "No se puede guardar el mismo documento varias veces en paralelo",
+  dbUnavailable: "Error de conexión con la base de datos",
+  "dbUnavailable.detail":
+    "No se pudo conectar con el servidor de base de datos MongoDB. Inténtelo de nuevo más tarde.",
+  bulkWriteFailed: "La escritura masiva falló",
+  "bulkWriteFailed.item": "No se pudo escribir el documento en la posición {index}",
+  divergentArray: "Conflicto al modificar el array",
+  "divergentArray.detail":
+    "El array se cargó parcialmente y no se puede guardar de forma segura. Recargue el registro e inténtelo de nuevo.",
+  writeConflict: "Conflicto de escritura",
+  "writeConflict.detail":
+    "El registro fue modificado por otra operación al mismo tiempo. Inténtelo de nuevo.",
+  queryTimeout: "La operación de base de datos superó el tiempo límite",
+  "queryTimeout.detail":
+    "La operación de base de datos tardó demasiado en completarse. Inténtelo de nuevo más tarde.",
+  documentValidation: "La validación del documento falló",
+  "documentValidation.field": "El campo '{field}' no cumple el esquema de la colección",
+  "documentValidation.detail": "El documento no cumple el esquema de la colección",
+  transientTransaction: "La transacción falló",
+  "transientTransaction.detail":
+    "La transacción falló por un problema temporal de la base de datos. Inténtelo de nuevo.",
+
+  // JWT errors
+  invalidToken: "Token no válido",
+  "invalidToken.detail": "El token proporcionado no es válido. Vuelva a iniciar sesión.",
+  tokenExpired: "Token caducado",
+  "tokenExpired.detail": "Su sesión ha caducado. Vuelva a iniciar sesión para continuar.",
+  tokenNotActive: "Token no activo",
+  "tokenNotActive.detail": "El token todavía no está activo. Inténtelo de nuevo más tarde.",
+
+  // Security middleware errors
+  invalidCsrfToken: "Token CSRF no válido",
+  "invalidCsrfToken.detail":
+    "El formulario ha caducado o no tiene token CSRF. Actualice la página e inténtelo de nuevo.",
+  corsNotAllowed: "Origen no permitido",
+  "corsNotAllowed.detail": "No se permiten solicitudes de origen cruzado desde este origen",
+  rateLimited: "Demasiadas solicitudes",
+  "rateLimited.detail": "Demasiadas solicitudes. Inténtelo de nuevo en {seconds} segundos.",
+  authenticationRequired: "Autenticación requerida",
+  "authenticationRequired.detail":
+    "No se proporcionó un token de autorización válido. Inicie sesión.",
+  permissionDenied: "Permiso denegado",
+  "permissionDenied.detail": "No tiene permiso para realizar esta acción",
+
+  // Zod errors
+  dataValidation: "La validación de los datos falló",
+
+  // Catch-all
+  internalError: "Error inesperado.",
+  "internalError.detail": "Se produjo un error inesperado. Inténtelo de nuevo más tarde.",
+
+  // Not found handler
+  routeNotFound: "Ruta no encontrada",
+  "routeNotFound.detail": "La ruta {method} {path} no existe",
+  methodNotAllowed: "Método no permitido",
+  "methodNotAllowed.detail":
+    "El método {method} no está permitido para {path}. Métodos permitidos: {allowed}",
+};
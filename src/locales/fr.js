@@ -0,0 +1,122 @@
+// French messages. Placeholders in braces are replaced with error values
+
+export default {
+  // Express errors
+  invalidJson: "Contenu JSON invalide dans la requête",
+  "invalidJson.detail": "Le JSON du corps de la requête est invalide et n'a pas pu être analysé",
+  payloadTooLarge: "Contenu JSON trop volumineux",
+  "payloadTooLarge.detail":
+    "Les données du corps de la requête dépassent la taille maximale autorisée",
+  "payloadTooLarge.limit":
+    "Les données du corps de la requête dépassent la taille maximale de {limit}",
+  malformedUri: "URI mal formée",
+  "malformedUri.detail": "L'URL de la requête contient des composants URI invalides ou mal formés",
+  unsupportedEncoding: "Encodage de contenu non pris en charge",
+  "unsupportedEncoding.detail": "L'encodage de contenu '{encoding}' n'est pas pris en charge",
+  unsupportedCharset: "Jeu de caractères non pris en charge",
+  "unsupportedCharset.detail": "Le jeu de caractères '{charset}' n'est pas pris en charge",
+  requestAborted: "Requête interrompue",
+  "requestAborted.detail": "La requête a été interrompue avant la réception du corps",
+  invalidRequestSize: "Taille de requête invalide",
+  "invalidRequestSize.detail":
+    "La taille du corps de la requête ne correspond pas à l'en-tête Content-Length",
+  tooManyParameters: "Trop de paramètres",
+  "tooManyParameters.detail": "Le corps de la requête contient plus de paramètres que permis",
+
+  // File upload errors
+  tooManyParts: "Trop de parties",
+  "tooManyParts.detail": "Le formulaire multipart contient plus de parties que permis",
+  fileTooLarge: "Fichier trop volumineux",
+  "fileTooLarge.detail": "Le fichier envoyé dépasse la taille maximale autorisée",
+  tooManyFiles: "Trop de fichiers",
+  "tooManyFiles.detail": "Plus de fichiers que permis ont été envoyés",
+  fieldNameTooLong: "Nom de champ trop long",
+  "fieldNameTooLong.detail": "Le nom d'un champ du formulaire dépasse la longueur maximale",
+  fieldValueTooLong: "Valeur de champ trop longue",
+  "fieldValueTooLong.detail": "La valeur du champ du formulaire dépasse la longueur maximale",
+  tooManyFields: "Trop de champs",
+  "tooManyFields.detail": "Le formulaire multipart contient plus de champs que permis",
+  unexpectedFile: "Fichier inattendu",
+  "unexpectedFile.detail": "Un fichier a été envoyé dans un champ qui n'accepte pas de fichiers",
+  missingFieldName: "Nom de champ manquant",
+  "missingFieldName.detail": "Il manque le nom d'un champ du formulaire",
+  malformedMultipart: "Données multipart mal formées",
+  "malformedMultipart.detail":
+    "Les données du formulaire multipart sont mal formées ou incomplètes",
+  unsupportedMediaType: "Type de contenu non pris en charge",
+  "unsupportedMediaType.detail":
+    "Le type de contenu de la requête n'est pas pris en charge pour l'envoi de formulaires",
+
+  // MongoDB/Mongoose errors
+  schemaValidation: "La validation du schéma a échoué",
+  duplicateKey: "Violation de clé en double",
+  "duplicateKey.field": "Un enregistrement avec le champ '{field}' existe déjà",
+  "duplicateKey.detail": "Un enregistrement avec la même valeur unique existe déjà",
+  castError: "Identifiant d'objet invalide",
+  "castError.field": "La valeur ({value}) n'est pas valide pour {field}",
+  documentNotFound: "Ressource demandée introuvable",
+  "documentNotFound.detail": "L'enregistrement demandé n'existe pas dans la base de données",
+  strictMode: "Champ non défini dans le schéma",
+  "strictMode.field": "Le champ '{field}' n'existe pas dans le schéma",
+  versionConflict: "Erreur de modification concurrente",
+  "versionConflict.field":
+    "L'enregistrement a été modifié simultanément par une autre opération. Actualisez et réessayez.",
+  parallelSave: "Erreur d'enregistrement en parallèle",
+  "parallelSave.detail": "Le même document ne peut pas être enregistré plusieurs fois en parallèle",
+  dbUnavailable: "Erreur de connexion à la base de données",
+  "dbUnavailable.detail":
+    "Impossible de se connecter au serveur de base de données MongoDB. Veuillez réessayer plus tard.",
+  bulkWriteFailed: "Échec de l'écriture groupée",
+  "bulkWriteFailed.item": "Le document à l'index {index} n'a pas pu être écrit",
+  divergentArray: "Conflit de modification du tableau",
+  "divergentArray.detail":
+    "Le tableau a été chargé partiellement et ne peut pas être enregistré en toute sécurité. Rechargez l'enregistrement et réessayez.",
+  writeConflict: "Conflit d'écriture",
+  "writeConflict.detail":
+    "L'enregistrement a été modifié par une autre opération au même moment. Veuillez réessayer.",
+  queryTimeout: "Délai de l'opération de base de données dépassé",
+  "queryTimeout.detail":
+    "L'opération de base de données a pris trop de temps. Veuillez réessayer plus tard.",
+  documentValidation: "Échec de la validation du document",
+  "documentValidation.field": "Le champ '{field}' ne respecte pas le schéma de la collection",
+  "documentValidation.detail": "Le document ne respecte pas le schéma de la collection",
+  transientTransaction: "Échec de la transaction",
+  "transientTransaction.detail":
+    "La transaction a échoué à cause d'un problème temporaire de la base de données. Veuillez réessayer.",
+
+  // JWT errors
+  invalidToken: "Jeton invalide",
+  "invalidToken.detail": "Le jeton fourni est invalide. Veuillez vous reconnecter.",
+  tokenExpired: "Jeton expiré",
+  "tokenExpired.detail": "Votre session a expiré. Veuillez vous reconnecter pour continuer.",
+  tokenNotActive: "Jeton non actif",
+  "tokenNotActive.detail": "Le jeton n'est pas encore actif. Veuillez réessayer plus tard.",
+
+  // Security middleware errors
+  invalidCsrfToken: "Jeton CSRF invalide",
+  "invalidCsrfToken.detail":
+    "Le formulaire a expiré ou n'a pas de jeton CSRF. Actualisez la page et réessayez.",
+  corsNotAllowed: "Origine non autorisée",
+  "corsNotAllowed.detail": "Les requêtes cross-origin depuis cette origine ne sont pas autorisées",
+  rateLimited: "Trop de requêtes",
+  "rateLimited.detail": "Trop de requêtes. Veuillez réessayer dans {seconds} secondes.",
+  authenticationRequired: "Authentification requise",
+  "authenticationRequired.detail":
+    "Aucun jeton d'autorisation valide n'a été fourni. Veuillez vous connecter.",
+  permissionDenied: "Permission refusée",
+  "permissionDenied.detail": "Vous n'avez pas la permission d'effectuer cette action",
+
+  // Zod errors
+  dataValidation: "La validation des données a échoué",
+
+  // Catch-all
+  internalError: "Erreur inattendue.",
+  "internalError.detail": "Une erreur inattendue s'est produite. Veuillez réessayer plus tard.",
+
+  // Not found handler
+  routeNotFound: "Route introuvable",
+  "routeNotFound.detail": "La route {method} {path} n'existe pas",
+  methodNotAllowed: "Méthode non autorisée",
+  "methodNotAllowed.detail":
+    "La méthode {method} n'est pas autorisée pour {path}. Méthodes autorisées : {allowed}",
+};
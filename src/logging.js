@@ -0,0 +1,139 @@
+// Severity aware logging of errors with request context
+
+import { serializeCauses } from "./causes.js";
+import { createRedactor } from "./redact.js";
+
+// Messages logged with error data, so errors that couldn't be responded to normally stand out
+export const LOG_MESSAGES = {
+  error: "The following error occurred:",
+  headersSent: "The following error occurred after the response was sent:",
+  handlerFailed: "A custom error handler failed:",
+  uncaughtException: "An uncaught exception occurred, shutting down:",
+  unhandledRejection: "An unhandled promise rejection occurred, shutting down:",
+  shutdownFailed: "A shutdown step failed:",
+};
+
+// Default policy: client errors (4xx) are warnings, server errors (5xx) are errors
+const defaultLogLevel = (status) => (status >= 500 ? "error" : "warn");
+
+/**
+ * Resolve the log level for a response status. The logLevels option can be a function
+ * (status, err) => level, or an object keyed by exact status ("404") or status class ("4xx").
+ * A level of false (or "silent") skips logging.
+ */
+const resolveLogLevel = (logLevels, status, err) => {
+  if (typeof logLevels === "function") return logLevels(status, err);
+
+  const statusClass = `${Math.floor(status / 100)}xx`;
+  if (logLevels?.[status] !== undefined) return logLevels[status];
+  if (logLevels?.[statusClass] !== undefined) return logLevels[statusClass];
+  return defaultLogLevel(status);
+};
+
+// Pino and Bunyan loggers take (data, message) instead of (message, data)
+const isDataFirstLogger = (logger) =>
+  typeof logger.bindings === "function" || typeof logger.fields === "object";
+
+// Milliseconds since request start, from morgan's req._startAt (hrtime) or req._startTime (Date)
+const getDuration = (req) => {
+  if (Array.isArray(req._startAt)) {
+    const [seconds, nanoseconds] = process.hrtime(req._startAt);
+    return Math.round((seconds * 1e3 + nanoseconds / 1e6) * 100) / 100;
+  }
+  const startTime = req._startTime ?? req.startTime;
+  if (startTime) return Date.now() - Number(startTime);
+  return undefined;
+};
+
+// Default user ID resolver for Passport style req.user objects
+export const defaultGetUserId = (req) => req.user?.id ?? req.user?._id;
+
+/**
+ * Request details included in logged error payloads. Route is the matched route pattern (e.g.
+ * /api/users/:id), only available when the error came from a route handler.
+ *
+ * @param {Object} req - Express request object
+ * @returns {{ method: string, url: string, path: string, route?: string }} Request context
+ */
+export const getRequestContext = (req) => {
+  const url = req.originalUrl || req.url;
+  return {
+    method: req.method,
+    url,
+    path: url?.split("?")[0],
+    ...(req.route?.path ? { route: `${req.baseUrl || ""}${req.route.path}` } : {}),
+  };
+};
+
+/**
+ * Create a function logging errors with a severity based on the response status, along with
+ * request context. Accepts either a plain logger function, always called as (message, data), or
+ * a leveled logger object such as Winston, Pino or console.
+ *
+ * @param {Object} options - Logging options
+ * @param {Function|Object} [options.logger=console.error] - Logger function or leveled logger
+ * @param {string} [options.loggerStyle] - "message-first" (Winston) or "data-first" (Pino,
+ * Bunyan) argument order for leveled loggers, detected from the logger if not set
+ * @param {Function|Object} [options.logLevels] - Log level policy (defaults 4xx warn, 5xx error)
+ * @param {Function} [options.getUserId] - (req) => user ID, defaults to req.user.id or req.user._id
+ * @param {boolean} [options.exposeStack=false] - Include stack traces in logged data
+ * @param {boolean|Object} [options.redact] - Redaction of sensitive values in logged data
+ * @returns {Function} (err, req, status, extra, message) => void, req is optional for errors outside
+ * requests
+ */
+export const createErrorLogger = ({
+  logger = console.error,
+  loggerStyle,
+  logLevels,
+  getUserId = defaultGetUserId,
+  exposeStack = false,
+  redact,
+} = {}) => {
+  const redactData = createRedactor(redact);
+  const dataFirst = loggerStyle ? loggerStyle === "data-first" : isDataFirstLogger(logger);
+
+  // Find the logger method for a level, falling back to error (or log) for unknown levels
+  const getLogMethod = (level) => {
+    if (typeof logger === "function") return logger;
+    const method = logger[level] ?? logger.error ?? logger.log;
+    return method.bind(logger);
+  };
+
+  const logError = (err, req, status, extra, message) => {
+    const level = resolveLogLevel(logLevels, status, err);
+    if (!level || level === "silent") return;
+
+    // Process level errors (uncaught exceptions etc.) have no request
+    const userId = req ? getUserId(req) : undefined;
+    const duration = req ? getDuration(req) : undefined;
+    const data = redactData({
+      level,
+      name: err?.name,
+      code: err?.code,
+      message: err?.message,
+      // Add stack trace to log if available and exposeStack set to true
+      ...(exposeStack && err?.stack ? { stack: err.stack } : {}),
+      // Cause chain and aggregated errors (e.g. the ValidationError behind "save failed")
+      ...serializeCauses(err, { stack: exposeStack }),
+      status,
+      ...extra,
+      ...(req ? getRequestContext(req) : {}), // Method, URL and matched route of the failed request
+      ...(userId !== undefined ? { userId: String(userId) } : {}),
+      ...(duration !== undefined ? { duration } : {}),
+    });
+
+    const log = getLogMethod(level);
+    // Plain logger functions keep the original (message, data) order
+    if (dataFirst && typeof logger !== "function") log(data, message);
+    else log(message, data);
+  };
+
+  return (err, req, status, extra = {}, message = LOG_MESSAGES.error) => {
+    try {
+      logError(err, req, status, extra, message);
+    } catch {
+      // A failing logger (or level policy etc.) can't break the response, fall back to the console
+      if (logger !== console.error) console.error(message, err);
+    }
+  };
+};
@@ -0,0 +1,71 @@
+// In-process error counters, with snapshots and Prometheus text exposition for a /metrics route
+
+// Name of the Prometheus counter, labelled with the error code and response status
+export const METRIC_NAME = "http_errors_total";
+
+// Content type of the Prometheus text exposition format
+export const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Label values are quoted, escaping backslashes, quotes and newlines
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+/**
+ * Create error counters keyed by error code and status. The error handler records every error it
+ * responds to, and the counters can be shared with other error handlers by passing them as the
+ * 'metrics' option.
+ *
+ * @returns {Object} Metrics with record(status, code), snapshot(), reset(), toPrometheus() and a
+ * handler(req, res) route responding with the Prometheus text
+ */
+export const createErrorMetrics = () => {
+  // Counts keyed by error code, then status
+  const counts = new Map();
+
+  const record = (status, code) => {
+    if (!counts.has(code)) counts.set(code, new Map());
+    const byStatus = counts.get(code);
+    byStatus.set(status, (byStatus.get(status) ?? 0) + 1);
+  };
+
+  /* Counts by error code and status, with totals by code and by status, e.g.
+  { total: 3, byCode: { INVALID_ID: 3 }, byStatus: { 400: 3 }, counts: [{ code, status, count }] } */
+  const snapshot = () => {
+    const entries = [...counts].flatMap(([code, byStatus]) =>
+      [...byStatus].map(([status, count]) => ({ code, status, count }))
+    );
+    const sumBy = (property) =>
+      entries.reduce(
+        (totals, entry) => ({
+          ...totals,
+          [entry[property]]: (totals[entry[property]] ?? 0) + entry.count,
+        }),
+        {}
+      );
+
+    return {
+      total: entries.reduce((total, { count }) => total + count, 0),
+      byCode: sumBy("code"),
+      byStatus: sumBy("status"),
+      counts: entries,
+    };
+  };
+
+  const toPrometheus = () =>
+    [
+      `# HELP ${METRIC_NAME} Errors handled by the error handler, by error code and status`,
+      `# TYPE ${METRIC_NAME} counter`,
+      ...snapshot().counts.map(
+        ({ code, status, count }) =>
+          `${METRIC_NAME}{code="${escapeLabel(code)}",status="${status}"} ${count}`
+      ),
+    ].join("\n") + "\n";
+
+  return {
+    record,
+    snapshot,
+    reset: () => counts.clear(),
+    toPrometheus,
+    handler: (req, res) => res.set("Content-Type", PROMETHEUS_CONTENT_TYPE).send(toPrometheus()),
+  };
+};
@@ -0,0 +1,143 @@
+// Classification of errors into HTTP status, error code and client friendly messages
+
+import { getInnerErrors, MAX_NESTED_ERRORS } from "./causes.js";
+import { addProtocolHeaders } from "./headers.js";
+import { createTranslator } from "./i18n.js";
+import { internalError } from "./handlers/common.js";
+import { resolveHandlers } from "./handlers/index.js";
+import { applyOverride } from "./overrides.js";
+import { statusCodeToErrorCode, toErrorList } from "./utils.js";
+
+// Detailed errors of several classified errors, without duplicates
+const mergeErrors = (results) => {
+  const seen = new Set();
+  return results
+    .flatMap(({ normalized }) => normalized.errors)
+    .filter((item) => {
+      const key = JSON.stringify(item);
+      return seen.has(key) ? false : seen.add(key);
+    });
+};
+
+/* Classify an error with the handler chain, or else its aggregated errors and cause (e.g. a Mongoose
+ValidationError wrapped in new Error("save failed", { cause })). The first classified inner error
+is used, with detailed errors merged from other inner errors with the same status. Returns the
+classification, the handler and the error it came from, or undefined */
+const classifyNested = (err, classify, seen) => {
+  if (err === null || typeof err !== "object") return undefined;
+  if (seen.has(err) || seen.size >= MAX_NESTED_ERRORS) return undefined;
+  seen.add(err);
+
+  const classified = classify(err);
+  if (classified) return { ...classified, source: err };
+
+  const results = getInnerErrors(err)
+    .map((inner) => classifyNested(inner, classify, seen))
+    .filter(Boolean);
+  if (results.length <= 1) return results[0];
+
+  const [primary] = results;
+  const sameStatus = results.filter(
+    ({ normalized: { status } }) => status === primary.normalized.status
+  );
+  return { ...primary, normalized: { ...primary.normalized, errors: mergeErrors(sameStatus) } };
+};
+
+/* Fill in the code and detailed errors custom handlers may leave out, as formats and clients rely on
+them (e.g. the problem format derives its type from the code). A single error item is wrapped in a
+list */
+const withDefaults = (normalized) => ({
+  ...normalized,
+  code: normalized.code ?? statusCodeToErrorCode(normalized.status),
+  errors: toErrorList(normalized.errors),
+});
+
+/* Give field level error items the code of their error unless they have their own (e.g. items of a
+bulk write), so merged items of aggregated errors keep the code they were classified with */
+const withItemCodes = (normalized) => ({
+  ...normalized,
+  errors: normalized.errors.map((item) =>
+    typeof item === "object" && item !== null && item.code === undefined
+      ? { ...item, code: normalized.code }
+      : item
+  ),
+});
+
+// Name of the rule used for errors no handler recognizes
+export const CATCH_ALL_RULE = "catchAll";
+
+/**
+ * Classify an error like normalizeError, also returning the handler that recognized it ('rule',
+ * "catchAll" for the generic 500) and the error it recognized ('source', an inner error when the
+ * error was unwrapped), for debugging classifications.
+ *
+ * @param {*} err - Error to classify
+ * @param {Object} [options] - Same options as normalizeError
+ * @returns {{ normalized: Object, rule: string, source: * }} Normalized error, rule and source
+ */
+export const classifyError = (
+  err,
+  { locale, messages, handlers, overrides, ...headerOptions } = {}
+) => {
+  const t = createTranslator(locale, messages);
+  const chain = Array.isArray(handlers) ? handlers : resolveHandlers(handlers);
+
+  const classify = (error) => {
+    for (const { name, handle } of chain) {
+      const normalized = handle(error, { t, locale });
+      if (normalized) return { normalized: withItemCodes(withDefaults(normalized)), rule: name };
+    }
+    return undefined;
+  };
+
+  // Thrown primitives (e.g. throw "message") and null can't be classified
+  const {
+    normalized = internalError(t),
+    rule = CATCH_ALL_RULE,
+    source = err,
+  } = classifyNested(err, classify, new Set()) ?? {};
+
+  // Overrides match the inner error that was classified. Headers are added after overrides, so they
+  // match an overridden status
+  const overridden = applyOverride(normalized, source, overrides);
+  return { normalized: addProtocolHeaders(overridden, headerOptions), rule, source };
+};
+
+/**
+ * Classify an error from Express, Mongoose/MongoDB, JWT, validation libraries (Zod, Joi/celebrate,
+ * Yup, express-validator, class-validator) or the application into a plain object describing the
+ * response it should produce. Doesn't depend on Express, so the same mapping can be used in
+ * background jobs, Socket.IO handlers, GraphQL resolvers etc.
+ *
+ * Errors are passed to each handler of the chain in turn until one recognizes them, falling back to
+ * a generic 500. The chain is built from the built-in handlers and the 'handlers' config (see
+ * resolveHandlers), and can be passed already resolved. Errors no handler recognizes are unwrapped
+ * through their cause chain and AggregateError errors, merging detailed errors of inner errors.
+ * Overrides then replace the status, message or detailed errors of specific kinds of errors.
+ *
+ * Client facing messages of built-in errors are translated using the bundled (or custom) message
+ * catalogs, defaulting to English.
+ *
+ * Codes are stable identifiers listed in ERROR_CODES (custom errors can use their own), and field
+ * level error items get the code of the error they came from unless they have their own.
+ *
+ * Standard headers for the status are included in 'headers' (WWW-Authenticate for 401, Retry-After
+ * for 503/429), along with any headers declared by custom errors (err.headers).
+ *
+ * @param {*} err - Error to classify
+ * @param {Object} [options] - Translation and header options
+ * @param {string} [options.locale="en"] - Locale to translate built-in messages into
+ * @param {Object} [options.messages] - Custom message catalogs keyed by locale
+ * @param {Object|Array<Object>} [options.handlers] - Handlers config or resolved handler chain
+ * @param {Object} [options.overrides] - Status, message and error item overrides keyed by error code
+ * or name
+ * @param {string} [options.authRealm] - Realm of WWW-Authenticate Bearer challenges
+ * @param {boolean} [options.authErrorDescription=true] - Describe token errors in challenges
+ * @param {number|false} [options.retryAfter=30] - Retry-After seconds for 503/429, false to omit
+ * @returns {{ status: number, code: string, message: string, errors: Array<string|Object>,
+ * headers?: Object }} Normalized error with HTTP status, stable error code, message, detailed
+ * errors and response headers
+ */
+const normalizeError = (err, options) => classifyError(err, options).normalized;
+
+export default normalizeError;
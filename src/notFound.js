@@ -0,0 +1,128 @@
+// Middleware responding to unmatched routes in the same format as the error handler
+
+import { AppError, NotFoundError } from "./errors.js";
+import { createResponder } from "./formats.js";
+import { createLocaleResolver, createTranslator } from "./i18n.js";
+import { createRequestIdResolver } from "./requestId.js";
+
+// Remove query string from request URL
+const getPathname = (req) => (req.originalUrl || req.url || "/").split("?")[0];
+
+// Router stack for Express 4 (app._router) and Express 5 (app.router)
+const getRouterStack = (app) => (app?._router || app?.router)?.stack;
+
+/**
+ * Collect the methods of every route in a router stack matching the path, recursing into mounted
+ * routers. Returns "_all" in the set if a route matches all methods (e.g. router.all).
+ */
+const collectRouteMethods = (stack, path, methods = new Set()) => {
+  for (const layer of stack) {
+    if (typeof layer.match !== "function" || !layer.match(path)) continue;
+
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods)) methods.add(method);
+    } else if (Array.isArray(layer.handle?.stack)) {
+      // Strip matched mount path before checking the nested router (e.g. /api/users -> /users)
+      const remaining = path.slice(layer.path.length);
+      const nestedPath = remaining.startsWith("/") ? remaining : `/${remaining}`;
+      collectRouteMethods(layer.handle.stack, nestedPath, methods);
+    }
+  }
+  return methods;
+};
+
+/**
+ * Find the methods allowed for the requested path in the app's router, or an empty array if the
+ * path doesn't exist for any method (or matches all of them).
+ */
+const getAllowedMethods = (req) => {
+  const stack = getRouterStack(req.app);
+  if (!stack) return [];
+
+  const methods = collectRouteMethods(stack, getPathname(req));
+  if (methods.has("_all")) return [];
+
+  // Express responds to HEAD with GET routes
+  if (methods.has("get")) methods.add("head");
+  return [...methods].map((method) => method.toUpperCase()).sort();
+};
+
+/**
+ * express-mongo-error-handler
+ * ==============================
+ * Create middleware for unmatched routes, responding with a 404 in the same format as
+ * createErrorHandler instead of Express's default HTML "Cannot GET" page. Add after all routes
+ * but before the error handler, passing the same formatting options to both.
+ *
+ * @param {Object} options - Configuration options object
+ * @param {string|Function} [options.format="default"] - "default", "problem" or custom formatter
+ * @param {string} [options.problemTypeBaseUrl] - Base URL for "problem" format type URIs
+ * @param {boolean|Array<string>} [options.negotiate=false] - Respond with JSON, HTML, plain text or
+ * XML depending on the Accept header (JSON when any type is accepted)
+ * @param {string|Function} [options.htmlRenderer] - View name for res.render or (locals) => html
+ * @param {boolean} [options.methodNotAllowed=false] - Respond 405 with an Allow header when the
+ * path exists for other methods
+ * @param {boolean} [options.localize] - Translate messages per request (Accept-Language/req.locale)
+ * @param {Function} [options.resolveLocale] - (req) => locale, enables localize when provided
+ * @param {string} [options.defaultLocale="en"] - Locale used when no requested locale is available
+ * @param {Object} [options.messages] - Custom message catalogs keyed by locale then message id
+ * @param {boolean} [options.requestId=false] - Add request correlation IDs to responses
+ * @param {string} [options.requestIdHeader="X-Request-Id"] - Header to read and respond with ID
+ * @param {Function} [options.generateRequestId=randomUUID] - Generates IDs for requests without one
+ * @param {boolean|Object} [options.redact] - Redact sensitive values (e.g. emails in the path),
+ * defaults to true in production
+ * @returns {Function} Express middleware (req, res, next)
+ */
+const createNotFoundHandler = (options = {}) => {
+  const {
+    methodNotAllowed = false,
+    resolveLocale,
+    localize = Boolean(resolveLocale),
+    defaultLocale,
+    messages,
+    requestIdHeader = "X-Request-Id",
+  } = options;
+
+  // Send response with the same formatting and localization options as createErrorHandler
+  const sendError = createResponder(options);
+  const getLocale = createLocaleResolver({ localize, resolveLocale, defaultLocale, messages });
+  const getRequestId = createRequestIdResolver(options);
+
+  return (req, res, next) => {
+    const path = getPathname(req);
+    const locale = getLocale(req);
+    const t = createTranslator(locale, messages);
+    if (localize) res.set("Content-Language", locale);
+
+    const requestId = getRequestId(req);
+    if (requestId) res.set(requestIdHeader, requestId);
+
+    const allowed = methodNotAllowed ? getAllowedMethods(req) : [];
+    if (allowed.length) {
+      const detail = t("methodNotAllowed.detail", {
+        method: req.method,
+        path,
+        allowed: allowed.join(", "),
+      });
+      res.set("Allow", allowed.join(", "));
+      return sendError(new AppError(detail, 405), req, res, {
+        status: 405,
+        code: "METHOD_NOT_ALLOWED",
+        message: t("methodNotAllowed"),
+        errors: [detail],
+        ...(requestId ? { requestId } : {}),
+      });
+    }
+
+    const detail = t("routeNotFound.detail", { method: req.method, path });
+    return sendError(new NotFoundError(detail), req, res, {
+      status: 404,
+      code: "ROUTE_NOT_FOUND",
+      message: t("routeNotFound"),
+      errors: [detail],
+      ...(requestId ? { requestId } : {}),
+    });
+  };
+};
+
+export default createNotFoundHandler;
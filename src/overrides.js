@@ -0,0 +1,100 @@
+// Declarative overrides of the status, message and detailed errors of classified errors
+
+import { interpolate } from "./i18n.js";
+
+// Properties an override can set, with a check and description of each for validation errors
+const OVERRIDE_PROPERTIES = {
+  status: [
+    (value) => Number.isInteger(value) && value >= 400 && value <= 599,
+    "a 4xx or 5xx status",
+  ],
+  message: [(value) => typeof value === "string", "a message template string"],
+  errorMessage: [(value) => typeof value === "string", "an error item template string"],
+  suppressErrors: [(value) => typeof value === "boolean", "a boolean"],
+};
+
+/**
+ * Validate the 'overrides' option, so mistakes fail when the error handler is created rather than
+ * when an error is handled. Throws a TypeError describing the first invalid override.
+ *
+ * @param {Object} [overrides] - Overrides keyed by error code (e.g. "INVALID_ID") or error name
+ * @returns {Object|undefined} The validated overrides
+ */
+export const validateOverrides = (overrides) => {
+  if (overrides === undefined) return overrides;
+  if (typeof overrides !== "object" || overrides === null || Array.isArray(overrides)) {
+    throw new TypeError("Invalid overrides. Expected an object keyed by error code or name");
+  }
+
+  for (const [type, override] of Object.entries(overrides)) {
+    if (typeof override !== "object" || override === null || Array.isArray(override)) {
+      throw new TypeError(`Invalid override for '${type}'. Expected an object`);
+    }
+    for (const [property, value] of Object.entries(override)) {
+      if (!OVERRIDE_PROPERTIES[property]) {
+        throw new TypeError(
+          `Unknown override property '${property}' for '${type}'. Expected one of: ${Object.keys(
+            OVERRIDE_PROPERTIES
+          ).join(", ")}`
+        );
+      }
+      const [isValid, expected] = OVERRIDE_PROPERTIES[property];
+      if (!isValid(value)) {
+        throw new TypeError(`Invalid override ${property} for '${type}'. Expected ${expected}`);
+      }
+    }
+  }
+  return overrides;
+};
+
+/* Placeholder values for a detailed error: the field, the original message, and the value and kind
+(e.g. "ObjectId", "required") of the Mongoose error for the field (or of the whole error) */
+const getItemParams = (err, item) => {
+  const field = typeof item === "object" && item !== null ? item.field : undefined;
+  const message = typeof item === "object" && item !== null ? item.message : item;
+  const fieldErrors = err?.errors && !Array.isArray(err.errors) ? err.errors : {};
+  const source = field === undefined || err?.path === field ? err : fieldErrors[field];
+
+  return {
+    field: field ?? err?.path ?? "",
+    value: source?.value ?? err?.keyValue?.[field] ?? "",
+    kind: source?.kind ?? "",
+    message,
+  };
+};
+
+/**
+ * Apply the override for a classified error, looked up by its code and then by the error's name.
+ * Templates can use {field}, {value} and {kind} placeholders (empty when the error has none), and
+ * {message} for the original message.
+ *
+ * @param {Object} normalized - Classified error
+ * @param {*} err - Original error
+ * @param {Object} [overrides] - Validated overrides keyed by error code or name
+ * @returns {Object} Classified error with the override applied
+ */
+export const applyOverride = (normalized, err, overrides) => {
+  const type = [normalized.code, err?.name].find(
+    (key) => overrides && Object.hasOwn(overrides, key)
+  );
+  if (type === undefined) return normalized;
+
+  const { status, message, errorMessage, suppressErrors } = overrides[type];
+  const templateErrors = (errors) =>
+    errors.map((item) => {
+      const text = interpolate(errorMessage, getItemParams(err, item));
+      return typeof item === "object" && item !== null ? { ...item, message: text } : text;
+    });
+
+  return {
+    ...normalized,
+    ...(status !== undefined ? { status } : {}),
+    ...(message !== undefined
+      ? { message: interpolate(message, { ...getItemParams(err), message: normalized.message }) }
+      : {}),
+    ...(suppressErrors ? { errors: [] } : {}),
+    ...(!suppressErrors && errorMessage !== undefined
+      ? { errors: templateErrors(normalized.errors) }
+      : {}),
+  };
+};
@@ -0,0 +1,161 @@
+// Redaction of sensitive values in response bodies and logged error data
+
+// Replacement for redacted values
+export const DEFAULT_CENSOR = "[REDACTED]";
+
+// Field names redacted at any depth (compared case-insensitively, ignoring '-' and '_')
+export const DEFAULT_REDACT_PATHS = [
+  "password",
+  "passwd",
+  "secret",
+  "token",
+  "accessToken",
+  "refreshToken",
+  "authorization",
+  "cookie",
+  "apiKey",
+  "creditCard",
+  "cardNumber",
+  "cvv",
+  "ssn",
+];
+
+// Luhn checksum, so long numeric IDs and timestamps aren't mistaken for card numbers
+const isLuhnValid = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/* Built-in patterns, selected by name in the 'patterns' option. Each replaces matches in strings
+(e.g. messages echoing a duplicate email or cast value) using the censor */
+const BUILT_IN_PATTERNS = {
+  email: {
+    pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+    replace: (censor) => censor,
+  },
+  // Header and payload of a JWT are base64url encoded JSON, so both start with "eyJ"
+  jwt: {
+    pattern: /\beyJ[\w-]*\.eyJ[\w-]*\.[\w-]*/g,
+    replace: (censor) => censor,
+  },
+  // 13 to 19 digits, optionally grouped with spaces or dashes
+  creditCard: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    replace: (censor) => (match) => (isLuhnValid(match.replace(/\D/g, "")) ? censor : match),
+  },
+  // Secret assignments such as password=hunter2, "token": "abc" or api_key: abc (keeps the key)
+  password: {
+    pattern:
+      /\b(pass(?:word|wd)?|pwd|secret|token|api[-_]?key)(["']?\s*[:=]\s*["']?)[^\s"'&,;}]+/gi,
+    replace: (censor) => (match, key, separator) => `${key}${separator}${censor}`,
+  },
+};
+
+export const DEFAULT_REDACT_PATTERNS = Object.keys(BUILT_IN_PATTERNS);
+
+// Field names are matched loosely so apiKey, api_key and API-KEY are all the same field
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[-_]/g, "");
+
+// Resolve a built-in pattern name or custom RegExp into a { pattern, replace } rule
+const toPatternRule = (pattern, censor) => {
+  if (pattern instanceof RegExp) {
+    // Replace every match, not just the first one
+    const flags = pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`;
+    return { pattern: new RegExp(pattern.source, flags), replacement: censor };
+  }
+
+  const builtIn = BUILT_IN_PATTERNS[pattern];
+  if (!builtIn) {
+    const names = DEFAULT_REDACT_PATTERNS.join(", ");
+    throw new TypeError(
+      `Invalid redact pattern '${pattern}'. Expected a RegExp or one of: ${names}`
+    );
+  }
+  return { pattern: builtIn.pattern, replacement: builtIn.replace(censor) };
+};
+
+/* Values echoed by Mongoose validator messages: "Path `password` (`abc`) is shorter than..." and
+"`abc` is not a valid enum value for path `password`." */
+const ECHOED_VALUES = [/\(`[^`]*`\)/g, /^`[^`]*`(?= is not a valid enum value)/];
+
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Create a function returning a redacted copy of a value. Values of sensitive fields are replaced
+ * with the censor, and strings anywhere in the value have sensitive patterns replaced. Detailed
+ * errors ({ field, message }) for a sensitive field have values echoed by Mongoose validator
+ * messages (e.g. "Path `password` (`abc`) is shorter than...") replaced too, while messages that
+ * only describe the rule (e.g. "Password must be at least 8 characters") are kept.
+ *
+ * Redaction is on by default in production (NODE_ENV not development or test), and can be set
+ * with true/false, or an object adding field paths and patterns to the defaults.
+ *
+ * @param {boolean|Object} [redact] - Redaction options (defaults to true in production)
+ * @param {Array<string>} [redact.paths] - Field names (any depth) or dotted paths (from the root)
+ * @param {Array<string|RegExp>} [redact.patterns] - Built-in pattern names or regular expressions
+ * @param {string} [redact.censor="[REDACTED]"] - Replacement for redacted values
+ * @returns {Function} (value) => redacted copy of value (returned as is when disabled)
+ */
+export const createRedactor = (redact) => {
+  const notProduction = process.env.NODE_ENV === "development" || process.env.NODE_ENV === "test";
+  const enabled = redact ?? !notProduction;
+  if (!enabled) return (value) => value;
+
+  const { paths = [], patterns = [], censor = DEFAULT_CENSOR } = enabled === true ? {} : enabled;
+
+  // Dotted paths only match from the root of the value, plain field names match at any depth
+  const allPaths = [...DEFAULT_REDACT_PATHS, ...paths];
+  const fieldNames = new Set(allPaths.filter((path) => !path.includes(".")).map(normalizeKey));
+  const rootPaths = new Set(
+    allPaths
+      .filter((path) => path.includes("."))
+      .map((path) => path.split(".").map(normalizeKey).join("."))
+  );
+
+  const rules = [...DEFAULT_REDACT_PATTERNS, ...patterns].map((p) => toPatternRule(p, censor));
+
+  const isSensitive = (key, path) =>
+    fieldNames.has(normalizeKey(key)) || rootPaths.has(path.map(normalizeKey).join("."));
+
+  // Field of a detailed error can itself be a path (e.g. Zod "user.password")
+  const isSensitiveField = (field) =>
+    field.split(".").some((key) => fieldNames.has(normalizeKey(key)));
+
+  const redactString = (value) =>
+    rules.reduce((result, { pattern, replacement }) => result.replace(pattern, replacement), value);
+
+  const walk = (value, path) => {
+    if (typeof value === "string") return redactString(value);
+    if (Array.isArray(value)) return value.map((item) => walk(item, path));
+    if (!isPlainObject(value)) return value; // Keep dates, buffers, class instances etc. as is
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = [...path, key];
+      result[key] = isSensitive(key, childPath) ? censor : walk(child, childPath);
+    }
+    if (
+      typeof value.field === "string" &&
+      typeof result.message === "string" &&
+      isSensitiveField(value.field)
+    ) {
+      result.message = ECHOED_VALUES.reduce(
+        (message, pattern) =>
+          message.replace(pattern, (match) => (match.startsWith("(") ? `(\`${censor}\`)` : censor)),
+        result.message
+      );
+    }
+    return result;
+  };
+
+  return (value) => walk(value, []);
+};
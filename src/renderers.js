@@ -0,0 +1,87 @@
+// Plain text, XML and HTML renderings of error responses for content negotiation
+
+import { STATUS_CODES } from "node:http";
+
+// Response types available for negotiation, in order of preference when the client accepts any
+export const RESPONSE_TYPES = ["json", "html", "text", "xml"];
+
+const escapeMarkup = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+
+// Detailed error as a single line (e.g. "email: Email is required")
+const errorToText = (error) =>
+  typeof error === "object" && error !== null ? `${error.field}: ${error.message}` : String(error);
+
+/**
+ * Render an error as plain text, e.g.
+ * 400 Bad Request: Invalid object ID
+ * - _id: Value (abc) is not valid for _id
+ *
+ * @param {Object} locals - Status, message, detailed errors and request ID of the error
+ * @returns {string} Plain text body
+ */
+export const renderText = ({ status, message, errors = [], requestId }) =>
+  [
+    `${status} ${STATUS_CODES[status] || "Error"}: ${message}`,
+    ...errors.map((error) => `- ${errorToText(error)}`),
+    ...(requestId ? [`Request ID: ${requestId}`] : []),
+  ].join("\n");
+
+// XML element names can't contain spaces etc. or start with a digit
+const toElementName = (key) =>
+  String(key)
+    .replace(/[^\w.-]/g, "_")
+    .replace(/^(?=[\d.-])/, "_");
+
+// Serialize a value as XML element content, with array items as <item> elements
+const toXml = (value) => {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map((item) => `<item>${toXml(item)}</item>`).join("");
+  if (typeof value === "object") {
+    return Object.entries(value)
+      .filter(([, child]) => child !== undefined)
+      .map(([key, child]) => `<${toElementName(key)}>${toXml(child)}</${toElementName(key)}>`)
+      .join("");
+  }
+  return escapeMarkup(value);
+};
+
+/**
+ * Render a formatted response body as XML. Problem details documents use the RFC 7807 <problem>
+ * root element and namespace, other bodies an <error> root element.
+ *
+ * @param {Object} body - Response body returned by the formatter
+ * @param {boolean} [problem=false] - Render as an application/problem+xml document
+ * @returns {string} XML document
+ */
+export const renderXml = (body, problem = false) => {
+  const root = problem ? '<problem xmlns="urn:ietf:rfc:7807">' : "<error>";
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${root}${toXml(body)}</${problem ? "problem" : "error"}>`;
+};
+
+/**
+ * Render a minimal standalone HTML error page, used when no HTML renderer is configured (or the
+ * configured view fails to render)
+ *
+ * @param {Object} locals - Status, message, detailed errors and request ID of the error
+ * @returns {string} HTML document
+ */
+export const renderHtml = ({ status, message, errors = [], requestId }) => {
+  const title = `${status} ${STATUS_CODES[status] || "Error"}`;
+  const items = errors.map((error) => `<li>${escapeMarkup(errorToText(error))}</li>`).join("");
+  return [
+    "<!DOCTYPE html>",
+    "<html>",
+    `<head><meta charset="utf-8"><title>${escapeMarkup(title)}</title></head>`,
+    "<body>",
+    `<h1>${escapeMarkup(title)}</h1>`,
+    `<p>${escapeMarkup(message)}</p>`,
+    ...(items ? [`<ul>${items}</ul>`] : []),
+    ...(requestId ? [`<p><small>Request ID: ${escapeMarkup(requestId)}</small></p>`] : []),
+    "</body>",
+    "</html>",
+  ].join("\n");
+};
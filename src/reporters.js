@@ -0,0 +1,245 @@
+// Delivery of errors to Sentry style error reporting services through small adapters
+
+import http from "node:http";
+import https from "node:https";
+import { createHook } from "./hooks.js";
+import { defaultGetUserId, getRequestContext } from "./logging.js";
+import { createRedactor } from "./redact.js";
+
+/* Reporters are adapters with a capture(report) method (or plain functions), which can return a
+promise. Reports contain:
+- error: The original error object
+- level: "error" for 5xx, "warning" otherwise
+- tags: Error code, status, request method and matched route
+- user: { id } of the authenticated user (if any)
+- request: Method, URL, path, route and correlation ID of the request (redacted)
+- fingerprint: Error code, error name and route (or path) grouping reports of the same problem
+- timestamp: ISO 8601 time the error was handled */
+
+// Fingerprint windows are pruned once this many fingerprints are tracked
+const MAX_THROTTLED_FINGERPRINTS = 1000;
+
+/**
+ * Check whether an error matches the reportOn option: a function (status, code, err) => boolean,
+ * or an array of statuses (500), status classes ("5xx") and error codes ("INTERNAL_ERROR")
+ */
+const matchesReportOn = (reportOn, status, code, err) => {
+  if (typeof reportOn === "function") return Boolean(reportOn(status, code, err));
+  const statusClass = `${Math.floor(status / 100)}xx`;
+  return reportOn.some((match) => match === status || match === statusClass || match === code);
+};
+
+// Allow at most 'limit' reports with the same fingerprint per 'interval' milliseconds
+const createThrottle = ({ limit, interval }) => {
+  const windows = new Map();
+
+  return (key, now = Date.now()) => {
+    if (windows.size >= MAX_THROTTLED_FINGERPRINTS) {
+      for (const [fingerprint, window] of windows) {
+        if (window.resetAt <= now) windows.delete(fingerprint);
+      }
+    }
+
+    const window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      windows.set(key, { count: 1, resetAt: now + interval });
+      return true;
+    }
+    window.count += 1;
+    return window.count <= limit;
+  };
+};
+
+/**
+ * Create a function sending errors to the configured reporters. Reports are delivered after the
+ * response is sent (setImmediate), and failing or rejected reporters are ignored, so reporting
+ * never delays or breaks responses. Throws a TypeError for invalid reporters or options.
+ *
+ * @param {Object} options - Reporting options
+ * @param {Array<Object|Function>} [options.reporters=[]] - Adapters with capture(report)
+ * @param {Array<number|string>|Function} [options.reportOn=["5xx"]] - Statuses, status classes and
+ * error codes to report, or (status, code, err) => boolean
+ * @param {number} [options.reportSampleRate=1] - Fraction of matching errors to report (0 to 1)
+ * @param {Object} [options.reportThrottle] - { limit, interval } reports per fingerprint
+ * @param {Function} [options.getUserId] - (req) => user ID, defaults to req.user.id or req.user._id
+ * @param {boolean|Object} [options.redact] - Redaction of sensitive values in request details
+ * @returns {{ report: Function, flush: Function }} report(event) and flush() resolving once
+ * scheduled reports are delivered
+ */
+export const createErrorReporter = ({
+  reporters = [],
+  reportOn = ["5xx"],
+  reportSampleRate = 1,
+  reportThrottle,
+  getUserId = defaultGetUserId,
+  redact,
+} = {}) => {
+  const captures = reporters.map((reporter) => {
+    const capture = typeof reporter === "function" ? reporter : reporter?.capture?.bind(reporter);
+    if (typeof capture !== "function") {
+      throw new TypeError(
+        "Invalid reporter. Expected a function or an object with capture(report)"
+      );
+    }
+    return capture;
+  });
+  if (typeof reportSampleRate !== "number" || reportSampleRate < 0 || reportSampleRate > 1) {
+    throw new TypeError(`Invalid reportSampleRate '${reportSampleRate}'. Expected 0 to 1`);
+  }
+  if (reportThrottle && !(reportThrottle.limit > 0 && reportThrottle.interval > 0)) {
+    throw new TypeError("Invalid reportThrottle. Expected { limit, interval } above 0");
+  }
+
+  const redactRequest = createRedactor(redact);
+  const isAllowed = reportThrottle ? createThrottle(reportThrottle) : () => true;
+  const pending = new Set();
+
+  // Deliver a report to each reporter, waiting for async reporters so flush() can await them
+  const deliver = (report) =>
+    Promise.all(
+      captures.map(async (capture) => {
+        try {
+          await capture(report);
+        } catch {
+          // Ignore failing reporters, other reporters still receive the report
+        }
+      })
+    );
+
+  const report = ({ error, req, status, code, requestId }) => {
+    if (!captures.length || !matchesReportOn(reportOn, status, code, error)) return;
+    if (reportSampleRate < 1 && Math.random() >= reportSampleRate) return;
+
+    const { method, url, path, route } = getRequestContext(req);
+    const fingerprint = [code, error?.name ?? typeof error, route ?? path];
+    if (!isAllowed(fingerprint.join(" "))) return;
+
+    const userId = getUserId(req);
+    const built = {
+      error,
+      level: status >= 500 ? "error" : "warning",
+      tags: { code, status, method, ...(route ? { route } : {}) },
+      ...(userId !== undefined ? { user: { id: String(userId) } } : {}),
+      request: redactRequest({
+        method,
+        url,
+        path,
+        ...(route ? { route } : {}),
+        ...(requestId ? { requestId } : {}),
+      }),
+      fingerprint,
+      timestamp: new Date().toISOString(),
+    };
+
+    const delivery = new Promise((resolve) => setImmediate(resolve))
+      .then(() => deliver(built))
+      .finally(() => pending.delete(delivery));
+    pending.add(delivery);
+  };
+
+  return {
+    report: createHook(report), // Building a report can't break the response either
+    flush: () => Promise.all([...pending]).then(() => undefined),
+  };
+};
+
+/**
+ * Create a reporter keeping reports in memory, for asserting on reported errors in tests
+ *
+ * @returns {{ name: string, reports: Array<Object>, capture: Function, clear: Function }} Reporter
+ * with the captured reports
+ */
+export const createMemoryReporter = () => {
+  const reports = [];
+  return {
+    name: "memory",
+    reports,
+    capture: (report) => {
+      reports.push(report);
+    },
+    clear: () => {
+      reports.length = 0;
+    },
+  };
+};
+
+// Reports as JSON, with the error's name, message, code and stack
+const serializeReport = ({ error, ...report }) => ({
+  ...report,
+  error:
+    typeof error === "object" && error !== null
+      ? { name: error.name, message: error.message, code: error.code, stack: error.stack }
+      : { message: String(error) },
+});
+
+/* Send a JSON request with node:http(s), as global fetch isn't available on every supported Node
+version. Resolves with the response status, rejecting on network errors or once 'timeout'
+milliseconds have passed without a response */
+const sendJson = (url, { method, headers, body, timeout }) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const { request } = target.protocol === "https:" ? https : http;
+    const req = request(target, {
+      method,
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+    });
+
+    const timer = setTimeout(
+      () => req.destroy(new Error(`Error report timed out after ${timeout}ms`)),
+      timeout
+    );
+    req.on("response", (res) => {
+      clearTimeout(timer);
+      res.resume(); // The response body isn't used, but must be read to free the socket
+      resolve(res.statusCode);
+    });
+    req.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+
+/**
+ * Create a reporter posting reports as JSON to an HTTP endpoint, such as a webhook or a log
+ * collector. Non-2xx responses and timeouts reject, which the error handler ignores. The serialized
+ * report is redacted like logged data (e.g. emails in duplicate key messages), as it leaves the app.
+ *
+ * @param {Object} options - HTTP reporter options
+ * @param {string} options.url - Endpoint receiving reports
+ * @param {string} [options.method="POST"] - Request method
+ * @param {Object} [options.headers] - Additional request headers (e.g. Authorization)
+ * @param {number} [options.timeout=5000] - Milliseconds before a request is aborted
+ * @param {Function} [options.serialize] - (report) => JSON body, defaults to the report with the
+ * error's name, message, code and stack
+ * @param {boolean|Object} [options.redact] - Redaction of sensitive values in the serialized report
+ * (defaults to true in production)
+ * @returns {{ name: string, capture: Function }} Reporter
+ */
+export const createHttpReporter = ({
+  url,
+  method = "POST",
+  headers = {},
+  timeout = 5000,
+  serialize = serializeReport,
+  redact,
+} = {}) => {
+  if (!url) throw new TypeError("Invalid HTTP reporter. Expected a url");
+
+  const redactReport = createRedactor(redact);
+
+  return {
+    name: "http",
+    capture: async (report) => {
+      const status = await sendJson(url, {
+        method,
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(redactReport(serialize(report))),
+        timeout,
+      });
+      if (status < 200 || status >= 300) {
+        throw new Error(`Error report failed with status ${status}`);
+      }
+    },
+  };
+};
@@ -0,0 +1,41 @@
+// Request correlation IDs linking error responses to their log entries
+
+import { randomUUID } from "node:crypto";
+
+// Incoming IDs are reflected in response headers, so only accept short, header safe values
+const VALID_REQUEST_ID = /^[\w\-.:]{1,128}$/;
+
+// W3C Trace Context header: version-traceid-parentid-flags (trace ID is 32 lowercase hex chars)
+const TRACEPARENT = /^[\da-f]{2}-([\da-f]{32})-[\da-f]{16}-[\da-f]{2}$/;
+
+/**
+ * Create a function resolving the correlation ID for a request, or undefined when disabled. Reuses
+ * an existing ID in order of: req.id (set by pino-http, express-request-id etc.), the request ID
+ * header, the trace ID of a W3C traceparent header, then generates a new one.
+ *
+ * @param {Object} options - Request ID options shared by the error and not found handlers
+ * @param {boolean} [options.requestId=false] - Enable request IDs in responses and logs
+ * @param {string} [options.requestIdHeader="X-Request-Id"] - Header to read and respond with
+ * @param {Function} [options.generateRequestId=randomUUID] - Generates IDs for requests without one
+ * @returns {Function} (req) => request ID or undefined
+ */
+export const createRequestIdResolver = ({
+  requestId = false,
+  requestIdHeader = "X-Request-Id",
+  generateRequestId = randomUUID,
+} = {}) => {
+  if (!requestId) return () => undefined;
+
+  const headerName = requestIdHeader.toLowerCase();
+
+  return (req) => {
+    const candidates = [req.id, req.headers?.[headerName]];
+    const existing = candidates.find(
+      (id) => (typeof id === "string" || typeof id === "number") && VALID_REQUEST_ID.test(id)
+    );
+    if (existing !== undefined) return String(existing);
+
+    const traceId = TRACEPARENT.exec(req.headers?.traceparent ?? "")?.[1];
+    return traceId || generateRequestId();
+  };
+};
@@ -0,0 +1,28 @@
+// Small helpers shared between modules
+
+import { STATUS_CODES } from "node:http";
+
+// Convert HTTP status to an error code from its status phrase (e.g. 404 -> NOT_FOUND)
+export const statusCodeToErrorCode = (status) =>
+  (STATUS_CODES[status] || "Error").toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+
+// Detailed errors as a list, wrapping a single error item or string (e.g. errors: { field, message })
+export const toErrorList = (errors, fallback = []) =>
+  Array.isArray(errors) ? errors : errors ? [errors] : fallback;
+
+/* Convert a validation library path into a dot separated field path, from an array of keys
+(e.g. ["users", 0, "email"]) or a string with bracket indices (e.g. users[0].email or a["b"])
+-> users.0.email */
+export const toFieldPath = (path) => {
+  if (Array.isArray(path)) return path.join(".");
+  return String(path ?? "")
+    .replace(/\[["']?([^\]"']*)["']?\]/g, ".$1")
+    .replace(/^\./, "");
+};
+
+// Format a size in bytes the way body-parser limits are usually written (e.g. 102400 -> 100kb)
+export const formatBytes = (bytes) => {
+  if (bytes >= 1024 ** 2 && bytes % 1024 ** 2 === 0) return `${bytes / 1024 ** 2}mb`;
+  if (bytes >= 1024) return `${Math.round((bytes / 1024) * 10) / 10}kb`;
+  return `${bytes}b`;
+};
@@ -0,0 +1,151 @@
+import { jest, describe, test, expect } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import createErrorHandler, { asyncHandler, patchRouter, NotFoundError } from "../index.js";
+
+// Rejects on the next tick like a real async database call
+const rejectLater = (error) => new Promise((resolve, reject) => setImmediate(() => reject(error)));
+
+// Build an Express app with the router mounted and the error handler added last
+const createApp = (router) => {
+  const app = express();
+  app.use(router);
+  app.use(createErrorHandler({ logErrors: false }));
+  return app;
+};
+
+describe("asyncHandler wraps async functions to forward rejections", () => {
+  test("should pass rejected promise reason to next", async () => {
+    const error = new Error("Async failure");
+    const next = jest.fn();
+
+    await asyncHandler(async () => rejectLater(error))({}, {}, next);
+    expect(next).toHaveBeenCalledWith(error);
+  });
+
+  test("should not call next when the promise resolves", async () => {
+    const next = jest.fn();
+
+    await asyncHandler(async (req, res) => res.send())({}, { send: () => {} }, next);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("should replace falsy rejection reasons with an Error", async () => {
+    const next = jest.fn();
+
+    await asyncHandler(() => Promise.reject(undefined))({}, {}, next);
+    expect(next).toHaveBeenCalledWith(expect.any(Error));
+  });
+
+  test("should keep error middleware arity so Express still treats it as an error handler", () => {
+    expect(asyncHandler(async (req, res, next) => next()).length).toBe(3);
+    expect(asyncHandler(async (err, req, res, next) => next(err)).length).toBe(4);
+  });
+
+  test("should not wrap an already wrapped function again", () => {
+    const wrapped = asyncHandler(async () => {});
+    expect(asyncHandler(wrapped)).toBe(wrapped);
+  });
+
+  test("should forward rejections from a wrapped route to the error handler", async () => {
+    const router = express.Router();
+    router.get(
+      "/users/:id",
+      asyncHandler(async () => rejectLater(new NotFoundError("User not found")))
+    );
+
+    const res = await request(createApp(router)).get("/users/1");
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({
+      success: false,
+      code: "NOT_FOUND",
+      message: "User not found",
+      errors: ["User not found"],
+    });
+  });
+});
+
+describe("patchRouter forwards rejections for every route on a router or app", () => {
+  test("should return the same router", () => {
+    const router = express.Router();
+    expect(patchRouter(router)).toBe(router);
+  });
+
+  test("should forward rejections from route methods", async () => {
+    const router = patchRouter(express.Router());
+    router.post("/items", async () => rejectLater(new NotFoundError()));
+
+    const res = await request(createApp(router)).post("/items");
+    expect(res.status).toBe(404);
+  });
+
+  test("should forward rejections from arrays of middleware", async () => {
+    const router = patchRouter(express.Router());
+    const passThrough = async (req, res, next) => next();
+    router.get("/nested", [passThrough, [async () => rejectLater({ statusCode: 409 })]]);
+
+    const res = await request(createApp(router)).get("/nested");
+    expect(res.status).toBe(409);
+  });
+
+  test("should forward rejections from router.use middleware", async () => {
+    const router = patchRouter(express.Router());
+    router.use(async () => rejectLater({ name: "TokenExpiredError" }));
+
+    const res = await request(createApp(router)).get("/anything");
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Expired token");
+  });
+
+  test("should forward rejections from router.route chains", async () => {
+    const router = patchRouter(express.Router());
+    router
+      .route("/chained")
+      .get(async (req, res) => res.json({ ok: true }))
+      .delete(async () => rejectLater({ name: "DocumentNotFoundError" }));
+
+    const app = createApp(router);
+    expect((await request(app).get("/chained")).status).toBe(200);
+    expect((await request(app).delete("/chained")).status).toBe(404);
+  });
+
+  test("should forward rejections from router.param callbacks", async () => {
+    const router = patchRouter(express.Router());
+    router.param("id", async (req, res, next, id) => {
+      if (id === "bad") await rejectLater({ name: "CastError", path: "_id", value: id });
+      next();
+    });
+    router.get("/users/:id", (req, res) => res.json({ id: req.params.id }));
+
+    const app = createApp(router);
+    expect((await request(app).get("/users/good")).body).toEqual({ id: "good" });
+
+    const res = await request(app).get("/users/bad");
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Invalid object ID");
+  });
+
+  test("should patch an Express app and leave mounted routers working", async () => {
+    const app = patchRouter(express());
+    const router = express.Router();
+    router.get("/ok", (req, res) => res.json({ ok: true }));
+
+    app.use("/api", router);
+    app.get("/fail", async () => rejectLater(new Error("Unexpected")));
+    app.use(createErrorHandler({ logErrors: false }));
+
+    expect((await request(app).get("/api/ok")).body).toEqual({ ok: true });
+    expect((await request(app).get("/fail")).status).toBe(500);
+  });
+
+  test("should keep patched error middleware working as an error handler", async () => {
+    const app = patchRouter(express());
+    app.get("/fail", async () => rejectLater(new Error("Original")));
+    app.use(async (err, req, res, next) => next(new NotFoundError("Replaced")));
+    app.use(createErrorHandler({ logErrors: false }));
+
+    const res = await request(app).get("/fail");
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe("Replaced");
+  });
+});
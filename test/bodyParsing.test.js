@@ -0,0 +1,126 @@
+import { describe, test, expect } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import createErrorHandler, { normalizeError } from "../index.js";
+
+// Mock multer's MulterError (multer isn't a dependency)
+const createMulterError = (code, field) =>
+  Object.assign(new Error(code), { name: "MulterError", code, ...(field ? { field } : {}) });
+
+// App parsing bodies with the given middleware and echoing them back
+const createApp = (parser) => {
+  const app = express();
+  app.post("/", parser, (req, res) => res.json(req.body));
+  app.use(createErrorHandler({ logErrors: false }));
+  return app;
+};
+
+describe("body-parser failures", () => {
+  test("should respond 415 for unsupported content encodings", async () => {
+    const res = await request(createApp(express.json()))
+      .post("/")
+      .set("Content-Type", "application/json")
+      .set("Content-Encoding", "br2")
+      .send("{}");
+
+    expect(res.status).toBe(415);
+    expect(res.body).toEqual({
+      success: false,
+      code: "UNSUPPORTED_ENCODING",
+      message: "Unsupported content encoding",
+      errors: ["The content encoding 'br2' is not supported"],
+    });
+  });
+
+  test("should respond 415 for unsupported charsets", async () => {
+    const res = await request(createApp(express.json()))
+      .post("/")
+      .set("Content-Type", "application/json; charset=klingon")
+      .send("{}");
+
+    expect(res.status).toBe(415);
+    expect(res.body.errors).toEqual(["The charset 'klingon' is not supported"]);
+  });
+
+  test("should respond 413 for too many urlencoded parameters", async () => {
+    const res = await request(createApp(express.urlencoded({ extended: false, parameterLimit: 2 })))
+      .post("/")
+      .type("form")
+      .send("a=1&b=2&c=3");
+
+    expect(res.status).toBe(413);
+    expect(res.body.message).toBe("Too many parameters");
+  });
+
+  test.each([
+    ["request.aborted", 400, "REQUEST_ABORTED"],
+    ["request.size.invalid", 400, "INVALID_REQUEST_SIZE"],
+  ])("should classify %s errors", (type, status, code) => {
+    const result = normalizeError({ type, statusCode: 400, message: "raw message" });
+    expect(result.status).toBe(status);
+    expect(result.code).toBe(code);
+  });
+
+  test("should not match body-parser types inherited from Object", () => {
+    const err = Object.assign(new Error("Bad type"), { type: "constructor" });
+    expect(normalizeError(err)).toMatchObject({ status: 500, code: "INTERNAL_ERROR" });
+  });
+});
+
+describe("multer and busboy errors", () => {
+  test("should classify multer file size errors with the file field", () => {
+    expect(normalizeError(createMulterError("LIMIT_FILE_SIZE", "avatar"))).toEqual({
+      status: 413,
+      code: "FILE_TOO_LARGE",
+      message: "File too large",
+      errors: [
+        {
+          field: "avatar",
+          message: "The uploaded file exceeds the maximum size limit",
+          code: "FILE_TOO_LARGE",
+        },
+      ],
+    });
+  });
+
+  test.each([
+    ["LIMIT_PART_COUNT", 413, "TOO_MANY_PARTS"],
+    ["LIMIT_FILE_COUNT", 413, "TOO_MANY_FILES"],
+    ["LIMIT_FIELD_KEY", 400, "FIELD_NAME_TOO_LONG"],
+    ["LIMIT_FIELD_VALUE", 413, "FIELD_VALUE_TOO_LONG"],
+    ["LIMIT_FIELD_COUNT", 413, "TOO_MANY_FIELDS"],
+    ["LIMIT_UNEXPECTED_FILE", 400, "UNEXPECTED_FILE"],
+    ["MISSING_FIELD_NAME", 400, "MISSING_FIELD_NAME"],
+  ])("should classify multer %s errors", (multerCode, status, code) => {
+    const result = normalizeError(createMulterError(multerCode));
+    expect(result.status).toBe(status);
+    expect(result.code).toBe(code);
+    expect(result.errors).toHaveLength(1);
+  });
+
+  test("should not match multer codes inherited from Object", () => {
+    const result = normalizeError(createMulterError("toString"));
+    expect(result).toMatchObject({ status: 500, code: "INTERNAL_ERROR" });
+  });
+
+  test("should classify truncated multipart bodies from busboy", () => {
+    const result = normalizeError(new Error("Unexpected end of form"));
+    expect(result).toEqual({
+      status: 400,
+      code: "MALFORMED_MULTIPART",
+      message: "Malformed multipart data",
+      errors: ["The multipart form data is malformed or incomplete"],
+    });
+  });
+
+  test("should classify uploads without a multipart content type from busboy", () => {
+    const result = normalizeError(new Error("Unsupported content type: application/json"));
+    expect(result.status).toBe(415);
+    expect(result.code).toBe("UNSUPPORTED_MEDIA_TYPE");
+  });
+
+  test("should translate upload errors", () => {
+    const result = normalizeError(createMulterError("LIMIT_FILE_COUNT"), { locale: "fr" });
+    expect(result.message).toBe("Trop de fichiers");
+  });
+});
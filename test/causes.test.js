@@ -0,0 +1,130 @@
+import { describe, test, expect, jest, afterEach } from "@jest/globals";
+import createErrorHandler, { normalizeError, ConflictError } from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+// Mock Mongoose ValidationError with errors keyed by path
+const createValidationError = (paths) =>
+  Object.assign(new Error("Validation failed"), {
+    name: "ValidationError",
+    errors: Object.fromEntries(
+      paths.map((path) => [path, { path, message: `${path} is invalid` }])
+    ),
+  });
+
+describe("Cause chains and aggregated errors", () => {
+  const originalEnv = process.env.NODE_ENV;
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  test("should classify the cause of an unrecognized error", () => {
+    const err = new Error("save failed", { cause: createValidationError(["email"]) });
+
+    expect(normalizeError(err)).toEqual({
+      status: 400,
+      code: "SCHEMA_VALIDATION_FAILED",
+      message: "Schema validation failed",
+      errors: [{ field: "email", message: "email is invalid", code: "SCHEMA_VALIDATION_FAILED" }],
+    });
+  });
+
+  test("should walk nested causes", () => {
+    const jwtError = Object.assign(new Error("jwt expired"), { name: "TokenExpiredError" });
+    const err = new Error("auth failed", {
+      cause: new Error("verify failed", { cause: jwtError }),
+    });
+
+    expect(normalizeError(err).code).toBe("TOKEN_EXPIRED");
+  });
+
+  test("should prefer recognized outer errors to their causes", () => {
+    const err = new ConflictError("Email taken", { cause: createValidationError(["email"]) });
+    expect(normalizeError(err).status).toBe(409);
+  });
+
+  test("should merge field errors of aggregated errors with the same status", () => {
+    const err = new AggregateError(
+      [
+        new Error("Network down"),
+        createValidationError(["email", "name"]),
+        createValidationError(["email", "age"]),
+        Object.assign(new Error("Gone"), { statusCode: 410 }),
+      ],
+      "All promises were rejected"
+    );
+
+    const result = normalizeError(err);
+    expect(result.code).toBe("SCHEMA_VALIDATION_FAILED");
+    expect(result.errors).toEqual([
+      { field: "email", message: "email is invalid", code: "SCHEMA_VALIDATION_FAILED" },
+      { field: "name", message: "name is invalid", code: "SCHEMA_VALIDATION_FAILED" },
+      { field: "age", message: "age is invalid", code: "SCHEMA_VALIDATION_FAILED" },
+    ]);
+  });
+
+  test("should classify AggregateErrors wrapped as causes", () => {
+    const aggregate = new AggregateError([createValidationError(["email"])]);
+    const result = normalizeError(new Error("import failed", { cause: aggregate }));
+
+    expect(result.status).toBe(400);
+  });
+
+  test("should fall back to a 500 when no inner error is recognized", () => {
+    const err = new Error("save failed", { cause: new AggregateError([new Error("a")]) });
+    expect(normalizeError(err).status).toBe(500);
+  });
+
+  test("should stop at circular causes", () => {
+    const outer = new Error("outer");
+    outer.cause = new Error("inner", { cause: outer });
+
+    expect(normalizeError(outer).status).toBe(500);
+  });
+
+  test("should apply overrides of the classified inner error", () => {
+    const err = new Error("lookup failed", { cause: { name: "DocumentNotFoundError" } });
+    const result = normalizeError(err, { overrides: { DocumentNotFoundError: { status: 410 } } });
+
+    expect(result.status).toBe(410);
+  });
+
+  test("should log the serialized cause chain", () => {
+    const logger = jest.fn();
+    const inner = Object.assign(new Error("connection reset"), { code: "ECONNRESET" });
+    const err = new Error("save failed", { cause: new AggregateError([inner], "All failed") });
+
+    createErrorHandler({ logger })(err, createMockReq(), createMockRes(), () => {});
+
+    expect(logger).toHaveBeenCalledWith(
+      "The following error occurred:",
+      expect.objectContaining({
+        message: "save failed",
+        cause: {
+          name: "AggregateError",
+          message: "All failed",
+          aggregatedErrors: [{ name: "Error", message: "connection reset", code: "ECONNRESET" }],
+        },
+      })
+    );
+  });
+
+  test("should only include the cause chain in responses in debug mode", () => {
+    const err = new Error("save failed", { cause: new Error("disk full") });
+    const res = createMockRes();
+    const debugRes = createMockRes();
+
+    createErrorHandler({ logErrors: false })(err, createMockReq(), res, () => {});
+    createErrorHandler({ logErrors: false, debug: true })(err, createMockReq(), debugRes, () => {});
+
+    expect(res.jsonData.debug).toBeUndefined();
+    expect(debugRes.jsonData.debug.cause).toEqual({ name: "Error", message: "disk full" });
+  });
+
+  test("should refuse debug mode outside development and tests", () => {
+    process.env.NODE_ENV = "production";
+    expect(() => createErrorHandler({ debug: true })).toThrow("only allowed when NODE_ENV");
+
+    delete process.env.NODE_ENV;
+    expect(() => createErrorHandler({ debug: true })).toThrow("only allowed when NODE_ENV");
+  });
+});
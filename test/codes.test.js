@@ -0,0 +1,146 @@
+import { describe, test, expect } from "@jest/globals";
+import { readdirSync, readFileSync } from "node:fs";
+import createErrorHandler, { ERROR_CODES, normalizeError, NotFoundError } from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+// Codes of every built-in response, as written in the handlers and the not found handler
+const SOURCE_FILES = [
+  ...readdirSync(new URL("../src/handlers/", import.meta.url)).map(
+    (file) => new URL(`../src/handlers/${file}`, import.meta.url)
+  ),
+  new URL("../src/notFound.js", import.meta.url),
+];
+const builtInCodes = SOURCE_FILES.flatMap((file) =>
+  [...readFileSync(file, "utf8").matchAll(/code: "([A-Z_]+)"/g)].map(([, code]) => code)
+);
+
+describe("Error code catalog", () => {
+  test("should list every built-in code", () => {
+    expect(builtInCodes.length).toBeGreaterThan(40);
+    for (const code of builtInCodes) expect(ERROR_CODES).toHaveProperty(code);
+  });
+
+  test("should describe each code with its status", () => {
+    for (const entry of Object.values(ERROR_CODES)) {
+      expect(entry).toEqual({ status: expect.any(Number), description: expect.any(String) });
+    }
+    expect(ERROR_CODES.TOKEN_EXPIRED.status).toBe(401);
+  });
+
+  test("should list the default codes of the built-in error classes", () => {
+    expect(ERROR_CODES).toHaveProperty(new NotFoundError().code);
+  });
+
+  test("should be frozen", () => {
+    expect(Object.isFrozen(ERROR_CODES)).toBe(true);
+    expect(Object.isFrozen(ERROR_CODES.DUPLICATE_KEY)).toBe(true);
+  });
+});
+
+describe("Error codes in responses", () => {
+  test("should include the code in the default response and its field errors", () => {
+    const res = createMockRes();
+    const err = { code: 11000, keyPattern: { email: 1 } };
+
+    createErrorHandler({ logErrors: false })(err, createMockReq(), res, () => {});
+
+    expect(res.jsonData.code).toBe("DUPLICATE_KEY");
+    expect(res.jsonData.errors).toEqual([
+      {
+        field: "email",
+        message: "Record with field 'email' already exists",
+        code: "DUPLICATE_KEY",
+      },
+    ]);
+  });
+
+  test("should keep the codes of error items classified from aggregated errors", () => {
+    const err = new AggregateError([
+      { name: "CastError", path: "_id", value: "abc" },
+      { code: 11000, keyPattern: { email: 1 } },
+      { name: "StrictModeError", path: "nickname" },
+    ]);
+
+    expect(normalizeError(err).errors).toEqual([
+      expect.objectContaining({ field: "_id", code: "INVALID_ID" }),
+      expect.objectContaining({ field: "nickname", code: "UNKNOWN_FIELD" }),
+    ]);
+  });
+
+  test("should keep codes set on items by custom errors", () => {
+    const err = new NotFoundError("User not found", {
+      code: "USER_NOT_FOUND",
+      errors: [{ field: "id", message: "No user with this id", code: "UNKNOWN_USER" }, "Gone"],
+    });
+
+    expect(normalizeError(err).errors).toEqual([
+      { field: "id", message: "No user with this id", code: "UNKNOWN_USER" },
+      "Gone",
+    ]);
+  });
+
+  test("should let statusCode errors supply their own code", () => {
+    const err = Object.assign(new Error("Plan limit reached"), {
+      statusCode: 402,
+      code: "PLAN_LIMIT_REACHED",
+    });
+
+    expect(normalizeError(err).code).toBe("PLAN_LIMIT_REACHED");
+  });
+
+  test("should use the status code of statusCode errors without a code", () => {
+    const err = Object.assign(new Error("Gone"), { statusCode: 410 });
+    expect(normalizeError(err).code).toBe("GONE");
+  });
+
+  test("should accept statusCode errors with a single detailed error", () => {
+    const err = { statusCode: 400, errors: { field: "email", message: "Email is taken" } };
+
+    expect(normalizeError(err).errors).toEqual([
+      { field: "email", message: "Email is taken", code: "BAD_REQUEST" },
+    ]);
+  });
+
+  test("should wrap single error items of custom handlers in a list", () => {
+    const handlers = {
+      before: {
+        express: (err) =>
+          err.name === "SignupError" && {
+            status: 400,
+            code: "SIGNUP_FAILED",
+            errors: { field: "email", message: "Email is taken" },
+          },
+      },
+    };
+    const overrides = { SIGNUP_FAILED: { errorMessage: "{field} can't be used" } };
+
+    expect(normalizeError({ name: "SignupError" }, { handlers, overrides }).errors).toEqual([
+      { field: "email", message: "email can't be used", code: "SIGNUP_FAILED" },
+    ]);
+  });
+
+  test("should accept custom handlers that return no detailed errors", () => {
+    const handlers = {
+      before: {
+        express: (err) => err.name === "QuotaError" && { status: 429, code: "QUOTA_EXCEEDED" },
+      },
+    };
+
+    expect(normalizeError({ name: "QuotaError" }, { handlers })).toMatchObject({
+      status: 429,
+      code: "QUOTA_EXCEEDED",
+      errors: [],
+    });
+  });
+
+  test("should not use the code of errors that aren't exposed", () => {
+    // e.g. http-errors wrapping a file system error in serve-static
+    const err = Object.assign(new Error("ENOENT: no such file"), {
+      statusCode: 404,
+      code: "ENOENT",
+      expose: false,
+    });
+
+    expect(normalizeError(err).code).toBe("NOT_FOUND");
+  });
+});
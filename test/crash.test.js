@@ -0,0 +1,161 @@
+import { describe, test, expect, jest, afterEach } from "@jest/globals";
+import { once } from "node:events";
+import http from "node:http";
+import express from "express";
+import { installCrashHandlers } from "../index.js";
+
+// Start an app with a route that responds after a delay, to have a request in flight
+const startServer = async () => {
+  const app = express();
+  app.get("/slow", (req, res) => setTimeout(() => res.send("done"), 100));
+  const server = app.listen(0);
+  await once(server, "listening");
+  return server;
+};
+
+const get = (server, path) =>
+  new Promise((resolve, reject) => {
+    const { port } = server.address();
+    http
+      .get({ port, path, agent: false }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, body }));
+      })
+      .on("error", reject);
+  });
+
+describe("installCrashHandlers", () => {
+  let crashHandlers;
+  afterEach(() => {
+    crashHandlers?.uninstall();
+    crashHandlers = undefined;
+  });
+
+  test("should register and remove process handlers", () => {
+    const before = process.listenerCount("uncaughtException");
+    crashHandlers = installCrashHandlers({ exit: jest.fn(), logger: jest.fn() });
+
+    expect(process.listenerCount("uncaughtException")).toBe(before + 1);
+    crashHandlers.uninstall();
+    expect(process.listenerCount("uncaughtException")).toBe(before);
+  });
+
+  test("should log the error and exit with the exit code", async () => {
+    const logger = jest.fn();
+    const exit = jest.fn();
+    crashHandlers = installCrashHandlers({ logger, exit, exitCode: 2 });
+
+    await crashHandlers.shutdown(new TypeError("Cannot read properties of undefined"));
+
+    expect(logger).toHaveBeenCalledWith(
+      "An uncaught exception occurred, shutting down:",
+      expect.objectContaining({
+        level: "error",
+        name: "TypeError",
+        message: "Cannot read properties of undefined",
+        status: 500,
+        origin: "uncaughtException",
+      })
+    );
+    expect(exit).toHaveBeenCalledWith(2);
+  });
+
+  test("should log unhandled rejections with redaction", async () => {
+    const logger = jest.fn();
+    crashHandlers = installCrashHandlers({ logger, exit: jest.fn(), redact: true });
+
+    await crashHandlers.shutdown(
+      new Error("Login failed for password=hunter2"),
+      "unhandledRejection"
+    );
+
+    expect(logger).toHaveBeenCalledWith(
+      "An unhandled promise rejection occurred, shutting down:",
+      expect.objectContaining({
+        message: "Login failed for password=[REDACTED]",
+        origin: "unhandledRejection",
+      })
+    );
+  });
+
+  test("should let in-flight requests finish before closing the database", async () => {
+    const server = await startServer();
+    const order = [];
+    const mongoose = { disconnect: jest.fn(async () => order.push("mongoose")) };
+    const exit = jest.fn(() => order.push("exit"));
+    crashHandlers = installCrashHandlers({ server, mongoose, exit, logger: jest.fn() });
+
+    const inFlight = get(server, "/slow");
+    await new Promise((resolve) => setTimeout(resolve, 20)); // Let the request reach the route
+    const shuttingDown = crashHandlers.shutdown(new Error("Boom"));
+
+    await expect(get(server, "/slow")).rejects.toThrow(); // No new connections
+    expect(await inFlight).toEqual({ status: 200, body: "done" });
+    await shuttingDown;
+    expect(server.listening).toBe(false);
+    expect(order).toEqual(["mongoose", "exit"]);
+  });
+
+  test("should run onShutdown with the error", async () => {
+    const onShutdown = jest.fn(async () => {});
+    const err = new Error("Boom");
+    crashHandlers = installCrashHandlers({ onShutdown, exit: jest.fn(), logger: jest.fn() });
+
+    await crashHandlers.shutdown(err);
+    expect(onShutdown).toHaveBeenCalledWith(err);
+  });
+
+  test("should log failing steps and carry on", async () => {
+    const logger = jest.fn();
+    const exit = jest.fn();
+    const mongoose = { close: jest.fn(async () => {}) };
+    const onShutdown = () => Promise.reject(new Error("Flush failed"));
+    crashHandlers = installCrashHandlers({ mongoose, onShutdown, exit, logger });
+
+    await crashHandlers.shutdown(new Error("Boom"));
+
+    expect(logger).toHaveBeenCalledWith(
+      "A shutdown step failed:",
+      expect.objectContaining({ message: "Flush failed" })
+    );
+    expect(mongoose.close).toHaveBeenCalled();
+    expect(exit).toHaveBeenCalledWith(1);
+  });
+
+  test("should exit when shutdown times out", async () => {
+    const logger = jest.fn();
+    const exit = jest.fn();
+    const onShutdown = () => new Promise(() => {}); // Never settles
+    crashHandlers = installCrashHandlers({ onShutdown, exit, logger, timeout: 20 });
+
+    await crashHandlers.shutdown(new Error("Boom"));
+
+    expect(logger).toHaveBeenCalledWith(
+      "A shutdown step failed:",
+      expect.objectContaining({ message: "Shutdown timed out after 20ms, exiting anyway" })
+    );
+    expect(exit).toHaveBeenCalledTimes(1);
+  });
+
+  test("should shut down once for repeated errors", async () => {
+    const logger = jest.fn();
+    const exit = jest.fn();
+    crashHandlers = installCrashHandlers({ exit, logger });
+
+    const first = crashHandlers.shutdown(new Error("First"));
+    const second = crashHandlers.shutdown("Second", "unhandledRejection");
+
+    expect(second).toBe(first);
+    await first;
+    expect(logger).toHaveBeenCalledTimes(2);
+    expect(exit).toHaveBeenCalledTimes(1);
+  });
+
+  test("should throw on invalid options", () => {
+    expect(() => installCrashHandlers({ server: {} })).toThrow(TypeError);
+    expect(() => installCrashHandlers({ mongoose: {} })).toThrow(TypeError);
+    expect(() => installCrashHandlers({ timeout: 0 })).toThrow(TypeError);
+    expect(() => installCrashHandlers({ exitCode: "1" })).toThrow(TypeError);
+  });
+});
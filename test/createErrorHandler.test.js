@@ -1,23 +1,6 @@
 import { jest, describe, test, expect, beforeEach } from "@jest/globals";
 import createErrorHandler from "../index.js";
-
-// Factory function to mock Express response object
-function createMockRes() {
-  const res = {
-    statusCode: null,
-    jsonData: null,
-    // Lets us set status and chain json like real res (e.g. mockRes.status(400).json({...}))
-    status: function (code) {
-      this.statusCode = code;
-      return this;
-    },
-    json: function (data) {
-      this.jsonData = data;
-      return this;
-    },
-  };
-  return res;
-}
+import { createMockRes } from "./helpers/mocks.js";
 
 // Mock Express request object
 const createMockReq = () => ({ method: "GET", originalUrl: "/test" });
@@ -156,6 +139,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(400);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "INVALID_JSON",
         message: "Invalid JSON payload in request",
         errors: ["The request body JSON is invalid and could not be parsed"],
       });
@@ -184,6 +168,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(413);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "PAYLOAD_TOO_LARGE",
         message: "JSON payload too large",
         errors: ["The request body data exceeds the maximum size limit"],
       });
@@ -196,6 +181,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(400);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "MALFORMED_URI",
         message: "Malformed URI",
         errors: ["The request URL contains invalid or malformed URI components"],
       });
@@ -225,10 +211,15 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(400);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "SCHEMA_VALIDATION_FAILED",
         message: "Schema validation failed",
         errors: [
-          { field: "email", message: "Email is required" },
-          { field: "name", message: "Name must be at least 2 characters" },
+          { field: "email", message: "Email is required", code: "SCHEMA_VALIDATION_FAILED" },
+          {
+            field: "name",
+            message: "Name must be at least 2 characters",
+            code: "SCHEMA_VALIDATION_FAILED",
+          },
         ],
       });
     });
@@ -240,8 +231,15 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(409);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "DUPLICATE_KEY",
         message: "Duplicate key violation",
-        errors: [{ field: "email", message: "Record with field 'email' already exists" }],
+        errors: [
+          {
+            field: "email",
+            message: "Record with field 'email' already exists",
+            code: "DUPLICATE_KEY",
+          },
+        ],
       });
     });
 
@@ -260,8 +258,11 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(400);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "INVALID_ID",
         message: "Invalid object ID",
-        errors: [{ field: "_id", message: "Value (invalid-id) is not valid for _id" }],
+        errors: [
+          { field: "_id", message: "Value (invalid-id) is not valid for _id", code: "INVALID_ID" },
+        ],
       });
     });
 
@@ -272,6 +273,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(404);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "DOCUMENT_NOT_FOUND",
         message: "Requested resource not found",
         errors: ["The record being accessed does not exist in the database"],
       });
@@ -284,11 +286,13 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(400);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "UNKNOWN_FIELD",
         message: "Field not defined in schema",
         errors: [
           {
             field: "unknownField",
             message: "The field 'unknownField' does not exist in the schema",
+            code: "UNKNOWN_FIELD",
           },
         ],
       });
@@ -301,12 +305,14 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(409);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "VERSION_CONFLICT",
         message: "Concurrent modification error",
         errors: [
           {
             field: "_v",
             message:
               "The record being modified has been concurrently modified. Refresh and try again.",
+            code: "VERSION_CONFLICT",
           },
         ],
       });
@@ -319,6 +325,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(409);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "PARALLEL_SAVE",
         message: "Parallel save error",
         errors: ["The same document cannot be saved multiple times in parallel"],
       });
@@ -331,6 +338,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(503);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "DB_UNAVAILABLE",
         message: "Database connection error",
         errors: ["Unable to connect to MongoDB database server. Please try again later."],
       });
@@ -343,6 +351,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(503);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "DB_UNAVAILABLE",
         message: "Database connection error",
         errors: ["Unable to connect to MongoDB database server. Please try again later."],
       });
@@ -366,6 +375,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(401);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "INVALID_TOKEN",
         message: "Invalid token",
         errors: ["Provided token is invalid. Please log in again."],
       });
@@ -378,6 +388,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(401);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "TOKEN_EXPIRED",
         message: "Expired token",
         errors: ["Your session has expired. Please log in again to refresh."],
       });
@@ -390,6 +401,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(401);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "TOKEN_NOT_ACTIVE",
         message: "Token not active",
         errors: ["The token has yet to be activated. Please try again later."],
       });
@@ -415,8 +427,9 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(400);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "VALIDATION_FAILED",
         message: "Data validation failed",
-        errors: [{ field: "email", message: "Invalid email format" }],
+        errors: [{ field: "email", message: "Invalid email format", code: "VALIDATION_FAILED" }],
       });
     });
 
@@ -476,6 +489,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(403);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "FORBIDDEN",
         message: "Access denied",
         errors: ["Access denied"],
       });
@@ -492,6 +506,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(422);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "UNPROCESSABLE_ENTITY",
         message: "Validation failed",
         errors: ["Field A is invalid", "Field B is required"],
       });
@@ -514,6 +529,7 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(500);
       expect(mockRes.jsonData).toEqual({
         success: false,
+        code: "INTERNAL_ERROR",
         message: "Unexpected error.",
         errors: ["An unexpected error occurred. Please try again later."],
       });
@@ -609,4 +625,195 @@ describe("createErrorHandler error handling middleware tests", () => {
       expect(mockRes.statusCode).toBe(500); // Caught by catch-all
     });
   });
+
+  // ----------------------------------------------------------------------------------------------
+  // PROBLEM DETAILS FORMAT TESTS
+  //-----------------------------------------------------------------------------------------------
+
+  describe("Problem Details Format Responds With RFC 9457 Documents", () => {
+    beforeEach(() => {
+      errorHandler = createErrorHandler({ logErrors: false, format: "problem" });
+    });
+
+    test("should throw when an unknown format is provided", () => {
+      expect(() => createErrorHandler({ format: "xml" })).toThrow(TypeError);
+    });
+
+    test("should set application/problem+json content type", () => {
+      errorHandler(new Error("Test"), mockReq, mockRes, mockNext);
+      expect(mockRes.headers["content-type"]).toBe("application/problem+json");
+    });
+
+    test("should use about:blank type with status phrase title by default", () => {
+      const err = { name: "DocumentNotFoundError" };
+
+      errorHandler(err, mockReq, mockRes, mockNext);
+      expect(mockRes.statusCode).toBe(404);
+      expect(mockRes.jsonData).toEqual({
+        type: "about:blank",
+        title: "Not Found",
+        status: 404,
+        detail: "Requested resource not found",
+        instance: "/test",
+        code: "DOCUMENT_NOT_FOUND",
+        errors: ["The record being accessed does not exist in the database"],
+      });
+    });
+
+    test("should build type URI from problemTypeBaseUrl and use message as title", () => {
+      errorHandler = createErrorHandler({
+        logErrors: false,
+        format: "problem",
+        problemTypeBaseUrl: "https://example.com/problems/",
+      });
+      const err = { code: 11000, keyPattern: { email: 1 } };
+
+      errorHandler(err, mockReq, mockRes, mockNext);
+      expect(mockRes.statusCode).toBe(409);
+      expect(mockRes.jsonData).toEqual({
+        type: "https://example.com/problems/duplicate-key",
+        title: "Duplicate key violation",
+        status: 409,
+        detail: "Duplicate key violation",
+        instance: "/test",
+        code: "DUPLICATE_KEY",
+        errors: [
+          {
+            field: "email",
+            message: "Record with field 'email' already exists",
+            code: "DUPLICATE_KEY",
+          },
+        ],
+      });
+    });
+
+    test("should keep field errors as an extension member for validation errors", () => {
+      const err = {
+        name: "ZodError",
+        issues: [{ path: ["email"], message: "Invalid email format" }],
+      };
+
+      errorHandler(err, mockReq, mockRes, mockNext);
+      expect(mockRes.jsonData.status).toBe(400);
+      expect(mockRes.jsonData.errors).toEqual([
+        { field: "email", message: "Invalid email format", code: "VALIDATION_FAILED" },
+      ]);
+    });
+
+    test("should format custom statusCode errors with a matching status", () => {
+      const err = { statusCode: 403, message: "Access denied" };
+
+      errorHandler(err, mockReq, mockRes, mockNext);
+      expect(mockRes.statusCode).toBe(403);
+      expect(mockRes.jsonData).toEqual(
+        expect.objectContaining({ title: "Forbidden", status: 403, detail: "Access denied" })
+      );
+    });
+
+    test("should format errors of custom handlers that return no code or errors", () => {
+      errorHandler = createErrorHandler({
+        logErrors: false,
+        format: "problem",
+        problemTypeBaseUrl: "https://example.com/problems/",
+        handlers: {
+          before: {
+            express: (err) =>
+              err.name === "QuotaError" && { status: 402, message: "Quota reached" },
+          },
+        },
+      });
+
+      errorHandler({ name: "QuotaError" }, mockReq, mockRes, mockNext);
+      expect(mockRes.statusCode).toBe(402);
+      expect(mockRes.jsonData).toEqual(
+        expect.objectContaining({
+          type: "https://example.com/problems/payment-required",
+          code: "PAYMENT_REQUIRED",
+          errors: [],
+        })
+      );
+    });
+
+    test("should format catch-all errors as 500 problem documents", () => {
+      errorHandler(new Error("Something went wrong"), mockReq, mockRes, mockNext);
+      expect(mockRes.jsonData).toEqual(
+        expect.objectContaining({
+          type: "about:blank",
+          title: "Internal Server Error",
+          status: 500,
+          detail: "Unexpected error.",
+        })
+      );
+    });
+  });
+
+  // ----------------------------------------------------------------------------------------------
+  // CUSTOM FORMATTER TESTS
+  //-----------------------------------------------------------------------------------------------
+
+  describe("Custom Formatter Functions Control Response Body And Headers", () => {
+    // Example company envelope ({ ok, error: { code, details } })
+    const formatter = jest.fn(({ code, message, errors }) => ({
+      body: { ok: false, error: { code, message, details: errors } },
+      headers: { "X-Error-Code": code },
+    }));
+
+    beforeEach(() => {
+      formatter.mockClear();
+      errorHandler = createErrorHandler({ logErrors: false, format: formatter });
+    });
+
+    test("should pass normalized descriptor with original error and request to formatter", () => {
+      const err = { name: "CastError", path: "_id", value: "invalid-id" };
+
+      errorHandler(err, mockReq, mockRes, mockNext);
+      expect(formatter).toHaveBeenCalledWith({
+        status: 400,
+        code: "INVALID_ID",
+        message: "Invalid object ID",
+        errors: [
+          { field: "_id", message: "Value (invalid-id) is not valid for _id", code: "INVALID_ID" },
+        ],
+        error: err,
+        req: mockReq,
+      });
+    });
+
+    test("should send formatter body and headers with the classified status", () => {
+      const err = { name: "TokenExpiredError", message: "jwt expired" };
+
+      errorHandler(err, mockReq, mockRes, mockNext);
+      expect(mockRes.statusCode).toBe(401);
+      expect(mockRes.headers["x-error-code"]).toBe("TOKEN_EXPIRED");
+      expect(mockRes.jsonData).toEqual({
+        ok: false,
+        error: {
+          code: "TOKEN_EXPIRED",
+          message: "Expired token",
+          details: ["Your session has expired. Please log in again to refresh."],
+        },
+      });
+    });
+
+    test("should apply formatter to custom statusCode errors and the catch-all", () => {
+      errorHandler({ statusCode: 404, message: "User not found" }, mockReq, mockRes, mockNext);
+      expect(mockRes.jsonData.error.code).toBe("NOT_FOUND");
+
+      mockRes = createMockRes();
+      errorHandler(new Error("Boom"), mockReq, mockRes, mockNext);
+      expect(mockRes.statusCode).toBe(500);
+      expect(mockRes.jsonData.error.code).toBe("INTERNAL_ERROR");
+    });
+
+    test("should not require formatter to return headers", () => {
+      errorHandler = createErrorHandler({
+        logErrors: false,
+        format: ({ message }) => ({ body: { data: null, error: message } }),
+      });
+
+      errorHandler(new Error("Boom"), mockReq, mockRes, mockNext);
+      expect(mockRes.headers).toEqual({});
+      expect(mockRes.jsonData).toEqual({ data: null, error: "Unexpected error." });
+    });
+  });
 });
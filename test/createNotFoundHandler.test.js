@@ -0,0 +1,107 @@
+import { describe, test, expect } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import createErrorHandler, { createNotFoundHandler } from "../index.js";
+
+// Build an Express app with example routes followed by the not found and error handlers
+const createApp = (options = {}) => {
+  const app = express();
+  const router = express.Router();
+
+  router.get("/users", (req, res) => res.json([]));
+  router.post("/users", (req, res) => res.status(201).json({}));
+  router.all("/anything", (req, res) => res.json({}));
+  app.use("/api", router);
+  app.route("/health").get((req, res) => res.json({ ok: true }));
+
+  app.use(createNotFoundHandler(options));
+  app.use(createErrorHandler({ ...options, logErrors: false }));
+  return app;
+};
+
+describe("createNotFoundHandler responds to unmatched routes", () => {
+  test("should respond 404 with method and path in the default envelope", async () => {
+    const res = await request(createApp()).get("/api/missing?page=2");
+
+    expect(res.status).toBe(404);
+    expect(res.headers["content-type"]).toMatch(/application\/json/);
+    expect(res.body).toEqual({
+      success: false,
+      code: "ROUTE_NOT_FOUND",
+      message: "Route not found",
+      errors: ["The route GET /api/missing does not exist"],
+    });
+  });
+
+  test("should respond 404 for other methods on existing paths by default", async () => {
+    const res = await request(createApp()).delete("/api/users");
+
+    expect(res.status).toBe(404);
+    expect(res.headers.allow).toBeUndefined();
+  });
+
+  test("should respond 405 with Allow header when methodNotAllowed is enabled", async () => {
+    const res = await request(createApp({ methodNotAllowed: true })).delete("/api/users");
+
+    expect(res.status).toBe(405);
+    expect(res.headers.allow).toBe("GET, HEAD, POST");
+    expect(res.body).toEqual({
+      success: false,
+      code: "METHOD_NOT_ALLOWED",
+      message: "Method not allowed",
+      errors: ["The DELETE method is not allowed for /api/users. Allowed methods: GET, HEAD, POST"],
+    });
+  });
+
+  test("should find methods of routes registered on the app directly", async () => {
+    const res = await request(createApp({ methodNotAllowed: true })).put("/health");
+
+    expect(res.status).toBe(405);
+    expect(res.headers.allow).toBe("GET, HEAD");
+  });
+
+  test("should still respond 404 for unknown paths when methodNotAllowed is enabled", async () => {
+    const res = await request(createApp({ methodNotAllowed: true })).get("/unknown");
+    expect(res.status).toBe(404);
+  });
+
+  test("should share problem format options with createErrorHandler", async () => {
+    const app = createApp({ format: "problem", methodNotAllowed: true });
+
+    const notFound = await request(app).get("/unknown");
+    expect(notFound.headers["content-type"]).toMatch(/application\/problem\+json/);
+    expect(notFound.body).toEqual({
+      type: "about:blank",
+      title: "Not Found",
+      status: 404,
+      detail: "Route not found",
+      instance: "/unknown",
+      code: "ROUTE_NOT_FOUND",
+      errors: ["The route GET /unknown does not exist"],
+    });
+
+    const notAllowed = await request(app).patch("/api/users");
+    expect(notAllowed.body.title).toBe("Method Not Allowed");
+    expect(notAllowed.body.status).toBe(405);
+  });
+
+  test("should pass descriptor to custom formatters", async () => {
+    const app = createApp({
+      format: ({ status, code, message, error }) => ({
+        body: { status, code, message, errorName: error.name },
+      }),
+    });
+
+    const res = await request(app).get("/unknown");
+    expect(res.body).toEqual({
+      status: 404,
+      code: "ROUTE_NOT_FOUND",
+      message: "Route not found",
+      errorName: "NotFoundError",
+    });
+  });
+
+  test("should throw on invalid format at construction", () => {
+    expect(() => createNotFoundHandler({ format: "html" })).toThrow(TypeError);
+  });
+});
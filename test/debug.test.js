@@ -0,0 +1,132 @@
+import { describe, test, expect, afterEach } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import createErrorHandler from "../index.js";
+import { parseStack } from "../src/debug.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+const STACK = [
+  "TypeError: Cannot read properties of undefined (reading 'id')",
+  "    at getUser (/app/routes/users.js:12:5)",
+  "    at Layer.handle [as handle_request] (/app/node_modules/express/lib/router/layer.js:95:5)",
+  "    at next (/app/node_modules/express/lib/router/route.js:149:13)",
+  "    at /app/node_modules/@scope/auth/index.js:7:3",
+  "    at /app/index.js:3:1",
+  "    at Array.map (<anonymous>)",
+].join("\n");
+
+describe("Debug mode", () => {
+  const originalEnv = process.env.NODE_ENV;
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+  });
+
+  test("should parse stack frames, collapsing node_modules frames", () => {
+    expect(parseStack(STACK)).toEqual([
+      { function: "getUser", file: "/app/routes/users.js", line: 12, column: 5 },
+      { collapsed: 3, packages: ["express", "@scope/auth"] },
+      { file: "/app/index.js", line: 3, column: 1 },
+      { function: "Array.map", file: "<anonymous>" },
+    ]);
+  });
+
+  test("should return no frames without a stack", () => {
+    expect(parseStack(undefined)).toEqual([]);
+  });
+
+  test("should skip lines that only look like frames", () => {
+    const err = Object.assign(new Error("Boom"), {
+      stack: ["Error: Boom", "    at ", "    at /app/index.js:3:1"].join("\n"),
+    });
+    const res = createMockRes();
+
+    createErrorHandler({ logErrors: false, debug: true })(err, createMockReq(), res, () => {});
+
+    expect(res.jsonData.debug.stack).toEqual([{ file: "/app/index.js", line: 3, column: 1 }]);
+  });
+
+  test("should add the error details, stack and matched rule to responses", () => {
+    const err = Object.assign(new TypeError("Cannot read properties of undefined"), {
+      code: "ERR_TEST",
+      stack: STACK,
+    });
+    const res = createMockRes();
+
+    createErrorHandler({ logErrors: false, debug: true })(err, createMockReq(), res, () => {});
+
+    expect(res.jsonData.message).toBe("Unexpected error.");
+    expect(res.jsonData.debug).toEqual({
+      name: "TypeError",
+      code: "ERR_TEST",
+      message: "Cannot read properties of undefined",
+      stack: parseStack(STACK),
+      rule: { handler: "catchAll" },
+    });
+  });
+
+  test("should name the handler and inner error that matched", () => {
+    const castError = { name: "CastError", path: "_id", value: "abc" };
+    const err = new Error("lookup failed", { cause: castError });
+    const res = createMockRes();
+
+    createErrorHandler({ logErrors: false, debug: true })(err, createMockReq(), res, () => {});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.jsonData.debug.rule).toEqual({ handler: "mongoose", matchedError: "CastError" });
+  });
+
+  test("should name custom handlers from the registry", () => {
+    const stripe = (err) =>
+      err.type === "StripeCardError"
+        ? { status: 402, code: "PAYMENT_FAILED", message: "Payment failed", errors: [] }
+        : undefined;
+    const res = createMockRes();
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      debug: true,
+      handlers: { before: { express: stripe } },
+    });
+
+    errorHandler({ type: "StripeCardError" }, createMockReq(), res, () => {});
+    expect(res.jsonData.debug.rule).toEqual({ handler: "stripe" });
+  });
+
+  test("should describe thrown primitives", () => {
+    const res = createMockRes();
+    createErrorHandler({ logErrors: false, debug: true })("oops", createMockReq(), res, () => {});
+
+    expect(res.jsonData.debug).toEqual({
+      name: "string",
+      message: "oops",
+      stack: [],
+      rule: { handler: "catchAll" },
+    });
+  });
+
+  test("should add the debug block to problem details", async () => {
+    const app = express();
+    app.get("/", () => {
+      throw new Error("Boom");
+    });
+    app.use(createErrorHandler({ logErrors: false, debug: true, format: "problem" }));
+
+    const res = await request(app).get("/");
+    expect(res.body.debug).toMatchObject({ name: "Error", message: "Boom" });
+    expect(res.body.debug.stack[0]).toMatchObject({
+      file: expect.stringContaining("debug.test.js"),
+    });
+  });
+
+  test("should not add a debug block by default", () => {
+    const res = createMockRes();
+    createErrorHandler({ logErrors: false })(new Error("Boom"), createMockReq(), res, () => {});
+
+    expect(res.jsonData).not.toHaveProperty("debug");
+  });
+
+  test("should refuse debug mode in production", () => {
+    process.env.NODE_ENV = "production";
+    expect(() => createErrorHandler({ debug: true })).toThrow(Error);
+    expect(() => createErrorHandler({ debug: false })).not.toThrow();
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, test, expect } from "@jest/globals";
+import createErrorHandler, {
+  normalizeError,
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnprocessableEntityError,
+  ServiceUnavailableError,
+} from "../index.js";
+import { createMockRes } from "./helpers/mocks.js";
+
+describe("AppError class hierarchy", () => {
+  test("should create AppError with status, default code and default errors", () => {
+    const err = new AppError("Payment required", 402);
+
+    expect(err).toBeInstanceOf(Error);
+    expect(err.name).toBe("AppError");
+    expect(err.message).toBe("Payment required");
+    expect(err.statusCode).toBe(402);
+    expect(err.code).toBe("PAYMENT_REQUIRED");
+    expect(err.errors).toEqual(["Payment required"]);
+  });
+
+  test("should default AppError to 500 status", () => {
+    expect(new AppError("Something failed").statusCode).toBe(500);
+  });
+
+  test("should accept custom errors, code and cause", () => {
+    const cause = new Error("Underlying failure");
+    const err = new AppError("Order failed", 400, {
+      errors: [{ field: "quantity", message: "Must be positive" }],
+      code: "ORDER_INVALID",
+      cause,
+    });
+
+    expect(err.code).toBe("ORDER_INVALID");
+    expect(err.errors).toEqual([{ field: "quantity", message: "Must be positive" }]);
+    expect(err.cause).toBe(cause);
+  });
+
+  test.each([
+    [BadRequestError, 400, "Bad Request", "BAD_REQUEST"],
+    [UnauthorizedError, 401, "Unauthorized", "UNAUTHORIZED"],
+    [ForbiddenError, 403, "Forbidden", "FORBIDDEN"],
+    [NotFoundError, 404, "Not Found", "NOT_FOUND"],
+    [ConflictError, 409, "Conflict", "CONFLICT"],
+    [UnprocessableEntityError, 422, "Unprocessable Entity", "UNPROCESSABLE_ENTITY"],
+    [ServiceUnavailableError, 503, "Service Unavailable", "SERVICE_UNAVAILABLE"],
+  ])("%p should default status, message and code", (ErrorClass, status, message, code) => {
+    const err = new ErrorClass();
+
+    expect(err).toBeInstanceOf(AppError);
+    expect(err.name).toBe(ErrorClass.name);
+    expect(err.statusCode).toBe(status);
+    expect(err.message).toBe(message);
+    expect(err.code).toBe(code);
+  });
+
+  test("should allow subclasses to override message and options", () => {
+    const err = new NotFoundError("User not found", { code: "USER_NOT_FOUND" });
+
+    expect(err.message).toBe("User not found");
+    expect(err.code).toBe("USER_NOT_FOUND");
+    expect(err.errors).toEqual(["User not found"]);
+  });
+
+  test("should use subclass name when extending AppError", () => {
+    class PaymentError extends AppError {}
+    expect(new PaymentError("Card declined", 402).name).toBe("PaymentError");
+  });
+});
+
+describe("AppError instances are recognized by the error handler", () => {
+  test("should classify AppError with its own code via normalizeError", () => {
+    const err = new ConflictError("Email taken", {
+      code: "EMAIL_TAKEN",
+      errors: [{ field: "email", message: "Email is already registered" }],
+    });
+
+    expect(normalizeError(err)).toEqual({
+      status: 409,
+      code: "EMAIL_TAKEN",
+      message: "Email taken",
+      errors: [{ field: "email", message: "Email is already registered", code: "EMAIL_TAKEN" }],
+    });
+  });
+
+  test("should respond with AppError status and errors in middleware", () => {
+    const errorHandler = createErrorHandler({ logErrors: false });
+    const res = createMockRes();
+
+    errorHandler(new ForbiddenError("Admins only"), {}, res, () => {});
+    expect(res.statusCode).toBe(403);
+    expect(res.jsonData).toEqual({
+      success: false,
+      code: "FORBIDDEN",
+      message: "Admins only",
+      errors: ["Admins only"],
+    });
+  });
+
+  test("should expose AppError code to custom formatters", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      format: ({ code }) => ({ body: { code } }),
+    });
+    const res = createMockRes();
+
+    errorHandler(new UnauthorizedError("Login required", { code: "LOGIN_REQUIRED" }), {}, res);
+    expect(res.statusCode).toBe(401);
+    expect(res.jsonData).toEqual({ code: "LOGIN_REQUIRED" });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, test, expect, jest } from "@jest/globals";
+import createErrorHandler, {
+  BUILT_IN_HANDLERS,
+  NotFoundError,
+  normalizeError,
+  resolveHandlers,
+} from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+const BUILT_IN_NAMES = [
+  "express",
+  "upload",
+  "mongoose",
+  "jwt",
+  "security",
+  "zod",
+  "joi",
+  "yup",
+  "expressValidator",
+  "classValidator",
+  "appError",
+];
+
+const namesOf = (chain) => chain.map(({ name }) => name);
+
+// Custom handler classifying Stripe card errors
+const stripe = (err) => {
+  if (err.type === "StripeCardError") {
+    return { status: 402, code: "PAYMENT_FAILED", message: "Payment failed", errors: [] };
+  }
+};
+
+const jwtError = Object.assign(new Error("jwt malformed"), { name: "JsonWebTokenError" });
+
+describe("Handler registry", () => {
+  test("should resolve the built-in handlers in their default order", () => {
+    const chain = resolveHandlers();
+
+    expect(namesOf(chain)).toEqual(BUILT_IN_NAMES);
+    expect(namesOf(BUILT_IN_HANDLERS)).toEqual(BUILT_IN_NAMES);
+    expect(chain.every(({ builtIn }) => builtIn)).toBe(true);
+    expect(Object.isFrozen(chain)).toBe(true);
+  });
+
+  test("should disable built-in handlers", () => {
+    const handlers = { disable: ["jwt"] };
+
+    expect(namesOf(resolveHandlers(handlers))).not.toContain("jwt");
+    expect(normalizeError(jwtError, { handlers }).status).toBe(500);
+  });
+
+  test("should replace built-in handlers", () => {
+    const jwt = () => ({ status: 403, code: "BAD_TOKEN", message: "Forbidden", errors: [] });
+    const result = normalizeError(jwtError, { handlers: { replace: { jwt } } });
+
+    expect(result.status).toBe(403);
+    expect(result.code).toBe("BAD_TOKEN");
+  });
+
+  test("should wrap built-in handlers with the translator and locale", () => {
+    const wrapper = jest.fn((err, context) => ({ ...handle(err, context), code: "JWT" }));
+    let handle;
+    const wrap = {
+      jwt: (original) => {
+        handle = original;
+        return wrapper;
+      },
+    };
+    const result = normalizeError(jwtError, { locale: "es", handlers: { wrap } });
+
+    expect(result).toMatchObject({ status: 401, code: "JWT", message: "Token no válido" });
+    expect(wrapper).toHaveBeenCalledWith(jwtError, { t: expect.any(Function), locale: "es" });
+  });
+
+  test("should move built-in handlers to the front of the chain", () => {
+    // Errors with a statusCode would otherwise be classified by the express handler first
+    const err = Object.assign(new Error("Aborted"), { type: "request.aborted", statusCode: 418 });
+    const handlers = { order: ["appError", "jwt"] };
+
+    expect(namesOf(resolveHandlers(handlers)).slice(0, 3)).toEqual(["appError", "jwt", "express"]);
+    expect(normalizeError(err, { handlers }).status).toBe(418);
+  });
+
+  test("should insert custom handlers before and after built-in handlers", () => {
+    const logged = { name: "logged", handle: () => undefined };
+    const chain = resolveHandlers({
+      before: { express: stripe },
+      after: { jwt: [logged, stripe] },
+    });
+
+    expect(namesOf(chain)).toEqual([
+      "stripe",
+      ...BUILT_IN_NAMES.slice(0, 4),
+      "logged",
+      "stripe",
+      ...BUILT_IN_NAMES.slice(4),
+    ]);
+    expect(chain[0]).toMatchObject({ name: "stripe", handle: stripe, builtIn: false });
+  });
+
+  test("should keep custom handlers of disabled built-in handlers", () => {
+    const handlers = { disable: ["express"], before: { express: stripe } };
+
+    expect(namesOf(resolveHandlers(handlers))[0]).toBe("stripe");
+    expect(normalizeError({ type: "StripeCardError" }, { handlers }).status).toBe(402);
+  });
+
+  test("should name anonymous custom handlers by position", () => {
+    const [handler] = resolveHandlers({ before: { zod: [() => undefined] } }).filter(
+      ({ builtIn }) => !builtIn
+    );
+    expect(handler.name).toBe("custom (before zod)");
+  });
+
+  test("should throw on unknown handler names", () => {
+    expect(() => resolveHandlers({ disable: ["jtw"] })).toThrow("Unknown handler 'jtw'");
+    expect(() => resolveHandlers({ after: { stripe: [] } })).toThrow(TypeError);
+    expect(() => createErrorHandler({ handlers: { order: ["mongo"] } })).toThrow(TypeError);
+  });
+
+  test("should throw on invalid custom handlers", () => {
+    expect(() => resolveHandlers({ before: { jwt: { name: "invalid" } } })).toThrow(TypeError);
+  });
+
+  test("should reuse the resolved chain of a config", () => {
+    const handlers = { disable: ["yup"] };
+    expect(resolveHandlers(handlers)).toBe(resolveHandlers(handlers));
+  });
+});
+
+describe("Error handler with handlers option", () => {
+  test("should expose the resolved chain", () => {
+    const errorHandler = createErrorHandler({ handlers: { before: { express: stripe } } });
+    expect(namesOf(errorHandler.handlers)).toEqual(["stripe", ...BUILT_IN_NAMES]);
+  });
+
+  test("should format errors classified by custom handlers", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      format: "problem",
+      handlers: { before: { express: stripe } },
+    });
+    const res = createMockRes();
+
+    errorHandler({ type: "StripeCardError" }, createMockReq(), res, () => {});
+
+    expect(res.statusCode).toBe(402);
+    expect(res.jsonData).toMatchObject({
+      type: "about:blank",
+      status: 402,
+      detail: "Payment failed",
+    });
+  });
+
+  test("should still classify AppError classes by default", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, handlers: { disable: ["jwt"] } });
+    const res = createMockRes();
+
+    errorHandler(new NotFoundError("User not found"), createMockReq(), res, () => {});
+    expect(res.statusCode).toBe(404);
+  });
+});
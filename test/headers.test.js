@@ -0,0 +1,100 @@
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import createErrorHandler, {
+  normalizeError,
+  ServiceUnavailableError,
+  UnauthorizedError,
+} from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+describe("Protocol headers for built-in errors", () => {
+  let res;
+
+  beforeEach(() => {
+    res = createMockRes();
+  });
+
+  test("should send a Bearer challenge with JWT errors", () => {
+    const errorHandler = createErrorHandler({ logErrors: false });
+
+    errorHandler({ name: "JsonWebTokenError" }, createMockReq(), res);
+    expect(res.statusCode).toBe(401);
+    expect(res.headers["www-authenticate"]).toBe(
+      'Bearer error="invalid_token", error_description="Invalid token"'
+    );
+  });
+
+  test("should use configured realm and omit error description", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      authRealm: "api",
+      authErrorDescription: false,
+    });
+
+    errorHandler({ name: "TokenExpiredError" }, createMockReq(), res);
+    expect(res.headers["www-authenticate"]).toBe('Bearer realm="api", error="invalid_token"');
+  });
+
+  test("should strip characters not allowed in challenges from translated descriptions", () => {
+    const result = normalizeError({ name: "JsonWebTokenError" }, { locale: "es" });
+    expect(result.headers["WWW-Authenticate"]).toBe(
+      'Bearer error="invalid_token", error_description="Token no valido"'
+    );
+  });
+
+  test("should send a plain challenge with other 401 errors", () => {
+    const result = normalizeError(new UnauthorizedError("Login required"), { authRealm: "api" });
+    expect(result.headers).toEqual({ "WWW-Authenticate": 'Bearer realm="api"' });
+  });
+
+  test("should send Retry-After with 503 database errors", () => {
+    const errorHandler = createErrorHandler({ logErrors: false });
+
+    errorHandler({ name: "MongoNetworkError" }, createMockReq(), res);
+    expect(res.statusCode).toBe(503);
+    expect(res.headers["retry-after"]).toBe("30");
+  });
+
+  test("should use configured retry delay for 429 errors, or omit it", () => {
+    expect(
+      normalizeError({ statusCode: 429, message: "Slow down" }, { retryAfter: 60 }).headers
+    ).toEqual({ "Retry-After": "60" });
+    expect(normalizeError({ name: "MongoNetworkError" }, { retryAfter: false })).not.toHaveProperty(
+      "headers"
+    );
+  });
+
+  test("should describe the body size limit of 413 errors", () => {
+    const err = { type: "entity.too.large", limit: 102400, length: 204800 };
+    expect(normalizeError(err).errors).toEqual([
+      "The request body data exceeds the maximum size limit of 100kb",
+    ]);
+  });
+
+  test("should not add headers to other errors", () => {
+    expect(normalizeError({ name: "DocumentNotFoundError" })).not.toHaveProperty("headers");
+  });
+});
+
+describe("Headers declared by custom errors", () => {
+  test("should send headers of statusCode errors", () => {
+    const errorHandler = createErrorHandler({ logErrors: false });
+    const res = createMockRes();
+    const err = { statusCode: 402, message: "Payment required", headers: { "X-Plan": "free" } };
+
+    errorHandler(err, createMockReq(), res);
+    expect(res.headers["x-plan"]).toBe("free");
+    expect(res.jsonData).not.toHaveProperty("headers");
+  });
+
+  test("should prefer headers declared by the error over defaults", () => {
+    const err = new ServiceUnavailableError("Maintenance", { headers: { "retry-after": "3600" } });
+    expect(normalizeError(err).headers).toEqual({ "retry-after": "3600" });
+  });
+
+  test("should keep a custom WWW-Authenticate challenge", () => {
+    const err = new UnauthorizedError("Login required", {
+      headers: { "WWW-Authenticate": 'Basic realm="admin"' },
+    });
+    expect(normalizeError(err).headers).toEqual({ "WWW-Authenticate": 'Basic realm="admin"' });
+  });
+});
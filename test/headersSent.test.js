@@ -0,0 +1,155 @@
+import { describe, test, expect, jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import createErrorHandler from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+// Mock response that has already started streaming a 200 response
+const createStartedRes = () =>
+  Object.assign(createMockRes(), {
+    statusCode: 200,
+    headersSent: true,
+    writableEnded: false,
+    destroy: jest.fn(),
+    set: jest.fn(),
+    status: jest.fn(),
+    json: jest.fn(),
+  });
+
+describe("Errors after the response has started", () => {
+  test("should pass the error to next without setting headers", () => {
+    const logger = jest.fn();
+    const next = jest.fn();
+    const res = createStartedRes();
+    const err = new Error("Stream failed");
+    const errorHandler = createErrorHandler({ logger, requestId: true });
+
+    errorHandler(err, createMockReq({ "x-request-id": "abc-123" }), res, next);
+
+    expect(next).toHaveBeenCalledWith(err);
+    expect(res.set).not.toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).not.toHaveBeenCalled();
+    expect(logger).toHaveBeenCalledWith(
+      "The following error occurred after the response was sent:",
+      expect.objectContaining({
+        message: "Stream failed",
+        status: 500,
+        responseStatus: 200,
+        requestId: "abc-123",
+      })
+    );
+  });
+
+  test("should close the connection when configured", () => {
+    const next = jest.fn();
+    const res = createStartedRes();
+    const errorHandler = createErrorHandler({ logErrors: false, headersSent: "destroy" });
+
+    errorHandler(new Error("Stream failed"), createMockReq(), res, next);
+
+    expect(res.destroy).toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test("should close the connection without a next function", () => {
+    const res = createStartedRes();
+    createErrorHandler({ logErrors: false })(new Error("Stream failed"), createMockReq(), res);
+
+    expect(res.destroy).toHaveBeenCalled();
+  });
+
+  test("should leave ended responses alone", () => {
+    const res = Object.assign(createStartedRes(), { writableEnded: true });
+    const errorHandler = createErrorHandler({ logErrors: false, headersSent: "destroy" });
+
+    errorHandler(new Error("Late failure"), createMockReq(), res, jest.fn());
+    expect(res.destroy).not.toHaveBeenCalled();
+  });
+
+  test("should throw on invalid headersSent options", () => {
+    expect(() => createErrorHandler({ headersSent: "ignore" })).toThrow(TypeError);
+  });
+
+  test("should abort a streamed response that fails midway", async () => {
+    const app = express();
+    app.get("/download", (req, res, next) => {
+      res.status(200).type("text").write("partial content");
+      setImmediate(() => next(new Error("GridFS read failed")));
+    });
+    app.use(createErrorHandler({ logErrors: false }));
+
+    // Express's default handler closes the connection, so the client sees an aborted response
+    await expect(request(app).get("/download")).rejects.toThrow();
+  });
+});
+
+describe("Failing custom handlers and loggers", () => {
+  test("should fall back to built-in handling when a custom handler throws", () => {
+    const logger = jest.fn();
+    const res = createMockRes();
+    const failing = () => {
+      throw new Error("Handler bug");
+    };
+    const errorHandler = createErrorHandler({ logger, customHandlers: [failing] });
+
+    errorHandler({ name: "CastError", path: "_id", value: "abc" }, createMockReq(), res, () => {});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.jsonData.message).toBe("Invalid object ID");
+    expect(logger).toHaveBeenCalledWith(
+      "A custom error handler failed:",
+      expect.objectContaining({ message: "Handler bug" })
+    );
+  });
+
+  test("should treat custom handlers that respond without returning as handled", async () => {
+    const app = express();
+    app.get("/pay", () => {
+      throw Object.assign(new Error("Card declined"), { type: "StripeCardError" });
+    });
+    const customHandlers = [
+      (err, req, res) => {
+        if (err.type === "StripeCardError") res.status(402).json({ message: "Payment failed" });
+      },
+    ];
+    app.use(createErrorHandler({ logErrors: false, customHandlers }));
+
+    const res = await request(app).get("/pay");
+    expect(res.status).toBe(402);
+    expect(res.body).toEqual({ message: "Payment failed" });
+  });
+
+  test("should still respond when the logger throws", () => {
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+    const logger = () => {
+      throw new Error("Transport closed");
+    };
+    const res = createMockRes();
+
+    createErrorHandler({ logger })(new Error("Boom"), createMockReq(), res, () => {});
+
+    expect(res.statusCode).toBe(500);
+    expect(consoleError).toHaveBeenCalledWith(
+      "The following error occurred:",
+      expect.objectContaining({ message: "Boom" })
+    );
+    consoleError.mockRestore();
+  });
+
+  test("should still respond when the user ID resolver throws", () => {
+    const consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+    const getUserId = (req) => req.user.id; // No req.user
+    const res = createMockRes();
+
+    createErrorHandler({ logger: jest.fn(), getUserId })(
+      new Error("Boom"),
+      createMockReq(),
+      res,
+      () => {}
+    );
+
+    expect(res.statusCode).toBe(500);
+    consoleError.mockRestore();
+  });
+});
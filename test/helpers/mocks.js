@@ -0,0 +1,43 @@
+// Shared Express request/response mocks for unit tests that don't need a real server
+
+/**
+ * Mock Express response object. Records status, JSON body and headers, and supports chaining like
+ * the real res (e.g. res.status(400).json({...}))
+ */
+export function createMockRes() {
+  return {
+    statusCode: null,
+    jsonData: null,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(data) {
+      this.jsonData = data;
+      return this;
+    },
+    // Accepts a single header or an object of headers like real res.set
+    set(field, value) {
+      const headers = typeof field === "object" ? field : { [field]: value };
+      for (const [name, val] of Object.entries(headers)) this.headers[name.toLowerCase()] = val;
+      return this;
+    },
+    get(field) {
+      return this.headers[field.toLowerCase()];
+    },
+  };
+}
+
+/**
+ * Mock Express request object
+ *
+ * @param {Object} [headers] - Lowercase request headers
+ * @param {Object} [extra] - Additional request properties (e.g. route, user)
+ */
+export const createMockReq = (headers = {}, extra = {}) => ({
+  method: "GET",
+  originalUrl: "/test",
+  headers,
+  ...extra,
+});
@@ -0,0 +1,218 @@
+import { describe, test, expect } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import createErrorHandler, {
+  createNotFoundHandler,
+  normalizeError,
+  messageCatalogs,
+} from "../index.js";
+import { createMockRes } from "./helpers/mocks.js";
+
+// Mock Express request object with optional Accept-Language header
+const createMockReq = (acceptLanguage, extra = {}) => ({
+  method: "GET",
+  originalUrl: "/test",
+  headers: acceptLanguage ? { "accept-language": acceptLanguage } : {},
+  ...extra,
+});
+
+const duplicateKeyError = { code: 11000, keyPattern: { email: 1 } };
+
+describe("Bundled message catalogs", () => {
+  test("should bundle English, Spanish and French catalogs", () => {
+    expect(Object.keys(messageCatalogs)).toEqual(["en", "es", "fr"]);
+  });
+
+  test("should define every English message id in each bundled catalog", () => {
+    const ids = Object.keys(messageCatalogs.en).sort();
+    expect(Object.keys(messageCatalogs.es).sort()).toEqual(ids);
+    expect(Object.keys(messageCatalogs.fr).sort()).toEqual(ids);
+  });
+
+  test("should not allow bundled catalogs to be modified", () => {
+    expect(Object.isFrozen(messageCatalogs.en)).toBe(true);
+  });
+});
+
+describe("normalizeError translates built-in messages", () => {
+  test("should use English by default", () => {
+    expect(normalizeError(duplicateKeyError).errors).toEqual([
+      {
+        field: "email",
+        message: "Record with field 'email' already exists",
+        code: "DUPLICATE_KEY",
+      },
+    ]);
+  });
+
+  test("should translate and interpolate messages for a locale", () => {
+    expect(normalizeError(duplicateKeyError, { locale: "es" })).toEqual({
+      status: 409,
+      code: "DUPLICATE_KEY",
+      message: "Violación de clave duplicada",
+      errors: [
+        {
+          field: "email",
+          message: "Ya existe un registro con el campo 'email'",
+          code: "DUPLICATE_KEY",
+        },
+      ],
+    });
+  });
+
+  test("should interpolate field and value placeholders", () => {
+    const err = { name: "CastError", path: "_id", value: "abc" };
+    expect(normalizeError(err, { locale: "fr" }).errors[0].message).toBe(
+      "La valeur (abc) n'est pas valide pour _id"
+    );
+  });
+
+  test("should fall back to base language then English", () => {
+    expect(normalizeError({ name: "TokenExpiredError" }, { locale: "es-MX" }).message).toBe(
+      "Token caducado"
+    );
+    expect(normalizeError({ name: "TokenExpiredError" }, { locale: "ja" }).message).toBe(
+      "Expired token"
+    );
+  });
+
+  test("should prefer custom messages and fall back to bundled catalogs for missing ids", () => {
+    const messages = {
+      es: { tokenExpired: "Sesión caducada" },
+      "pt-BR": { tokenExpired: "Expirado" },
+    };
+
+    expect(normalizeError({ name: "TokenExpiredError" }, { locale: "es", messages }).message).toBe(
+      "Sesión caducada"
+    );
+    expect(normalizeError({ name: "JsonWebTokenError" }, { locale: "es", messages }).message).toBe(
+      "Token no válido"
+    );
+    // Locale matching is case insensitive, falling back to English for missing ids
+    const result = normalizeError({ name: "TokenExpiredError" }, { locale: "pt-br", messages });
+    expect(result.message).toBe("Expirado");
+    expect(result.errors).toEqual(["Your session has expired. Please log in again to refresh."]);
+  });
+
+  test("should not translate messages from custom errors or validation libraries", () => {
+    const err = { name: "ZodError", issues: [{ path: ["email"], message: "Invalid email" }] };
+    expect(normalizeError(err, { locale: "fr" })).toEqual({
+      status: 400,
+      code: "VALIDATION_FAILED",
+      message: "La validation des données a échoué",
+      errors: [{ field: "email", message: "Invalid email", code: "VALIDATION_FAILED" }],
+    });
+  });
+});
+
+describe("createErrorHandler negotiates locale per request", () => {
+  test("should ignore Accept-Language unless localize is enabled", () => {
+    const errorHandler = createErrorHandler({ logErrors: false });
+    const res = createMockRes();
+
+    errorHandler(duplicateKeyError, createMockReq("es"), res);
+    expect(res.jsonData.message).toBe("Duplicate key violation");
+    expect(res.headers["content-language"]).toBeUndefined();
+  });
+
+  test("should use defaultLocale when localize is disabled", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, defaultLocale: "fr" });
+    const res = createMockRes();
+
+    errorHandler(duplicateKeyError, createMockReq("es"), res);
+    expect(res.jsonData.message).toBe("Violation de clé en double");
+  });
+
+  test("should pick highest quality available locale from Accept-Language", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, localize: true });
+    const res = createMockRes();
+
+    errorHandler(duplicateKeyError, createMockReq("de;q=0.9, fr-CA;q=0.8, es;q=0.5"), res);
+    expect(res.jsonData.message).toBe("Violation de clé en double");
+    expect(res.headers["content-language"]).toBe("fr");
+  });
+
+  test("should prefer req.locale over Accept-Language", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, localize: true });
+    const res = createMockRes();
+
+    errorHandler(duplicateKeyError, createMockReq("fr", { locale: "es" }), res);
+    expect(res.jsonData.message).toBe("Violación de clave duplicada");
+  });
+
+  test("should fall back to English when no requested locale is available", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, localize: true });
+    const res = createMockRes();
+
+    errorHandler(duplicateKeyError, createMockReq("de, *;q=0.5"), res);
+    expect(res.jsonData.message).toBe("Duplicate key violation");
+    expect(res.headers["content-language"]).toBe("en");
+  });
+
+  test("should enable localization and use resolveLocale when provided", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      resolveLocale: (req) => req.user.language,
+    });
+    const res = createMockRes();
+
+    errorHandler(duplicateKeyError, createMockReq("fr", { user: { language: "es" } }), res);
+    expect(res.jsonData.message).toBe("Violación de clave duplicada");
+  });
+
+  test("should negotiate locales from custom catalogs", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      localize: true,
+      messages: { de: { duplicateKey: "Doppelter Schlüssel" } },
+    });
+    const res = createMockRes();
+
+    errorHandler(duplicateKeyError, createMockReq("de-AT"), res);
+    expect(res.jsonData.message).toBe("Doppelter Schlüssel");
+    // Missing German ids fall back to English
+    expect(res.jsonData.errors[0].message).toBe("Record with field 'email' already exists");
+  });
+
+  test.each(["constructor", "__proto__", "toString-US"])(
+    "should ignore Object properties requested as locale %s",
+    (tag) => {
+      const errorHandler = createErrorHandler({
+        logErrors: false,
+        localize: true,
+        messages: { de: { duplicateKey: "Doppelter Schlüssel" } },
+      });
+      const res = createMockRes();
+
+      errorHandler(duplicateKeyError, createMockReq(tag), res);
+      expect(res.jsonData.message).toBe("Duplicate key violation");
+      expect(res.headers["content-language"]).toBe("en");
+    }
+  );
+
+  test("should translate into a custom catalog named __proto__ without changing prototypes", () => {
+    const messages = JSON.parse('{ "__proto__": { "duplicateKey": "Proto key" } }');
+
+    expect(normalizeError(duplicateKeyError, { locale: "__proto__", messages }).message).toBe(
+      "Proto key"
+    );
+    expect({}.duplicateKey).toBeUndefined();
+  });
+});
+
+describe("createNotFoundHandler shares localization options", () => {
+  test("should translate not found responses", async () => {
+    const app = express();
+    app.use(createNotFoundHandler({ localize: true }));
+
+    const res = await request(app).get("/missing").set("Accept-Language", "es");
+    expect(res.status).toBe(404);
+    expect(res.headers["content-language"]).toBe("es");
+    expect(res.body).toEqual({
+      success: false,
+      code: "ROUTE_NOT_FOUND",
+      message: "Ruta no encontrada",
+      errors: ["La ruta GET /missing no existe"],
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import createErrorHandler from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+const MESSAGE = "The following error occurred:";
+
+// Leveled logger with jest mocks for each level, like a Winston logger
+const createLeveledLogger = () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+});
+
+describe("Severity aware structured logging", () => {
+  let logger;
+  let res;
+
+  beforeEach(() => {
+    logger = createLeveledLogger();
+    res = createMockRes();
+  });
+
+  test("should keep calling plain logger functions with (message, data)", () => {
+    const mockLogger = jest.fn();
+    const errorHandler = createErrorHandler({ logErrors: true, logger: mockLogger });
+
+    errorHandler({ name: "DocumentNotFoundError" }, createMockReq(), res);
+    expect(mockLogger).toHaveBeenCalledWith(
+      MESSAGE,
+      expect.objectContaining({ level: "warn", status: 404, name: "DocumentNotFoundError" })
+    );
+  });
+
+  test("should log 4xx errors as warnings and 5xx errors as errors", () => {
+    const errorHandler = createErrorHandler({ logErrors: true, logger });
+
+    errorHandler({ name: "DocumentNotFoundError" }, createMockReq(), res);
+    expect(logger.warn).toHaveBeenCalledWith(MESSAGE, expect.objectContaining({ status: 404 }));
+    expect(logger.error).not.toHaveBeenCalled();
+
+    errorHandler(new Error("Boom"), createMockReq(), createMockRes());
+    expect(logger.error).toHaveBeenCalledWith(MESSAGE, expect.objectContaining({ status: 500 }));
+  });
+
+  test("should call leveled logger methods with the logger as this", () => {
+    const winstonLike = {
+      messages: [],
+      warn(message) {
+        this.messages.push(message);
+      },
+    };
+    const errorHandler = createErrorHandler({ logErrors: true, logger: winstonLike });
+
+    errorHandler({ name: "CastError", path: "_id", value: "x" }, createMockReq(), res);
+    expect(winstonLike.messages).toEqual([MESSAGE]);
+  });
+
+  test("should detect Pino loggers and pass data before message", () => {
+    const pinoLike = { ...createLeveledLogger(), bindings: () => ({}) };
+    const errorHandler = createErrorHandler({ logErrors: true, logger: pinoLike });
+
+    errorHandler(new Error("Boom"), createMockReq(), res);
+    expect(pinoLike.error).toHaveBeenCalledWith(expect.objectContaining({ status: 500 }), MESSAGE);
+  });
+
+  test("should use data-first order when loggerStyle is set", () => {
+    const errorHandler = createErrorHandler({ logErrors: true, logger, loggerStyle: "data-first" });
+
+    errorHandler({ name: "TokenExpiredError" }, createMockReq(), res);
+    expect(logger.warn).toHaveBeenCalledWith(expect.objectContaining({ status: 401 }), MESSAGE);
+  });
+
+  test("should fall back to error method for levels the logger doesn't have", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: true,
+      logger,
+      logLevels: { "4xx": "notice" },
+    });
+
+    errorHandler({ name: "TokenExpiredError" }, createMockReq(), res);
+    expect(logger.error).toHaveBeenCalled();
+  });
+
+  test("should apply logLevels by exact status before status class", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: true,
+      logger,
+      logLevels: { 404: "info", "4xx": "error" },
+    });
+
+    errorHandler({ name: "DocumentNotFoundError" }, createMockReq(), res);
+    expect(logger.info).toHaveBeenCalled();
+
+    errorHandler({ name: "TokenExpiredError" }, createMockReq(), createMockRes());
+    expect(logger.error).toHaveBeenCalledWith(MESSAGE, expect.objectContaining({ status: 401 }));
+  });
+
+  test("should skip logging when the level is false or silent", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: true,
+      logger,
+      logLevels: { 404: false, "4xx": "silent" },
+    });
+
+    errorHandler({ name: "DocumentNotFoundError" }, createMockReq(), res);
+    errorHandler({ name: "TokenExpiredError" }, createMockReq(), createMockRes());
+    expect(logger.warn).not.toHaveBeenCalled();
+    expect(logger.error).not.toHaveBeenCalled();
+    expect(logger.info).not.toHaveBeenCalled();
+  });
+
+  test("should accept a log level policy function", () => {
+    const logLevels = jest.fn(() => "info");
+    const errorHandler = createErrorHandler({ logErrors: true, logger, logLevels });
+    const err = new Error("Boom");
+
+    errorHandler(err, createMockReq(), res);
+    expect(logLevels).toHaveBeenCalledWith(500, err);
+    expect(logger.info).toHaveBeenCalled();
+  });
+
+  test("should include request context, user ID and duration", () => {
+    const errorHandler = createErrorHandler({ logErrors: true, logger });
+    const req = createMockReq(
+      {},
+      {
+        method: "PATCH",
+        originalUrl: "/api/users/1?fields=name",
+        baseUrl: "/api",
+        route: { path: "/users/:id" },
+        user: { _id: "64b7f0c2a1" },
+        _startTime: new Date(Date.now() - 25),
+      }
+    );
+
+    errorHandler(new Error("Boom"), req, res);
+    const [, data] = logger.error.mock.calls[0];
+    expect(data).toEqual(
+      expect.objectContaining({
+        method: "PATCH",
+        url: "/api/users/1?fields=name",
+        path: "/api/users/1",
+        route: "/api/users/:id",
+        status: 500,
+        userId: "64b7f0c2a1",
+        duration: expect.any(Number),
+      })
+    );
+    expect(data.duration).toBeGreaterThanOrEqual(25);
+  });
+
+  test("should use duration from morgan's hrtime start", () => {
+    const errorHandler = createErrorHandler({ logErrors: true, logger });
+
+    errorHandler(new Error("Boom"), createMockReq({}, { _startAt: process.hrtime() }), res);
+    expect(logger.error.mock.calls[0][1].duration).toEqual(expect.any(Number));
+  });
+
+  test("should use custom getUserId resolver", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: true,
+      logger,
+      getUserId: (req) => req.auth.sub,
+    });
+
+    errorHandler(new Error("Boom"), createMockReq({}, { auth: { sub: "auth0|123" } }), res);
+    expect(logger.error.mock.calls[0][1].userId).toBe("auth0|123");
+  });
+
+  test("should omit user ID and duration when unavailable", () => {
+    const errorHandler = createErrorHandler({ logErrors: true, logger });
+
+    errorHandler(new Error("Boom"), createMockReq(), res);
+    const [, data] = logger.error.mock.calls[0];
+    expect(data).not.toHaveProperty("userId");
+    expect(data).not.toHaveProperty("duration");
+  });
+
+  test("should log status set by custom handlers", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: true,
+      logger,
+      customHandlers: [(err, req, res) => res.status(402).json({ success: false })],
+    });
+
+    errorHandler(new Error("Card declined"), createMockReq(), res);
+    expect(logger.warn).toHaveBeenCalledWith(MESSAGE, expect.objectContaining({ status: 402 }));
+  });
+});
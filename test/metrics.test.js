@@ -0,0 +1,184 @@
+import { describe, test, expect, jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import createErrorHandler, { createErrorMetrics, NotFoundError } from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+const castError = { name: "CastError", path: "_id", value: "abc" };
+
+// Run an error through the handler with mock request and response objects
+const handle = (errorHandler, err) => {
+  const res = createMockRes();
+  errorHandler(err, createMockReq(), res, () => {});
+  return res;
+};
+
+describe("Error metrics", () => {
+  test("should count errors by code and status", () => {
+    const errorHandler = createErrorHandler({ logErrors: false });
+    handle(errorHandler, castError);
+    handle(errorHandler, castError);
+    handle(errorHandler, new NotFoundError());
+
+    expect(errorHandler.metrics.snapshot()).toEqual({
+      total: 3,
+      byCode: { INVALID_ID: 2, NOT_FOUND: 1 },
+      byStatus: { 400: 2, 404: 1 },
+      counts: [
+        { code: "INVALID_ID", status: 400, count: 2 },
+        { code: "NOT_FOUND", status: 404, count: 1 },
+      ],
+    });
+  });
+
+  test("should render Prometheus exposition text", () => {
+    const metrics = createErrorMetrics();
+    metrics.record(400, "INVALID_ID");
+    metrics.record(500, 'SAY_"HI"');
+
+    expect(metrics.toPrometheus()).toBe(
+      [
+        "# HELP http_errors_total Errors handled by the error handler, by error code and status",
+        "# TYPE http_errors_total counter",
+        'http_errors_total{code="INVALID_ID",status="400"} 1',
+        'http_errors_total{code="SAY_\\"HI\\"",status="500"} 1',
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("should reset counts", () => {
+    const metrics = createErrorMetrics();
+    metrics.record(400, "INVALID_ID");
+    metrics.reset();
+
+    expect(metrics.snapshot()).toEqual({ total: 0, byCode: {}, byStatus: {}, counts: [] });
+  });
+
+  test("should share metrics between error handlers", () => {
+    const metrics = createErrorMetrics();
+    const errorHandler = createErrorHandler({ logErrors: false, metrics });
+    handle(errorHandler, castError);
+    handle(createErrorHandler({ logErrors: false, metrics }), castError);
+
+    expect(errorHandler.metrics).toBe(metrics);
+    expect(metrics.snapshot().total).toBe(2);
+  });
+
+  test("should not count errors when disabled", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, metrics: false });
+
+    expect(handle(errorHandler, castError).statusCode).toBe(400);
+    expect(errorHandler.metrics).toBeUndefined();
+  });
+
+  test("should count errors responded to by custom handlers by status", () => {
+    const customHandlers = [(err, req, res) => res.status(402).json({ message: "Payment failed" })];
+    const errorHandler = createErrorHandler({ logErrors: false, customHandlers });
+    handle(errorHandler, new Error("Card declined"));
+
+    expect(errorHandler.metrics.snapshot().byCode).toEqual({ PAYMENT_REQUIRED: 1 });
+  });
+
+  test("should serve metrics from a /metrics route", async () => {
+    const app = express();
+    const errorHandler = createErrorHandler({ logErrors: false });
+    app.get("/metrics", errorHandler.metrics.handler);
+    app.get("/users/:id", () => {
+      throw new NotFoundError("User not found");
+    });
+    app.use(errorHandler);
+
+    await request(app).get("/users/1");
+    const res = await request(app).get("/metrics");
+
+    expect(res.status).toBe(200);
+    expect(res.type).toBe("text/plain");
+    expect(res.headers["content-type"]).toContain("version=0.0.4");
+    expect(res.text).toContain('http_errors_total{code="NOT_FOUND",status="404"} 1');
+  });
+});
+
+describe("Error hooks", () => {
+  test("should call onError before and onResponse after the response", () => {
+    const calls = [];
+    const res = createMockRes();
+    const json = res.json.bind(res);
+    res.json = (data) => {
+      calls.push("response");
+      return json(data);
+    };
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      onError: (event) => calls.push(["onError", event.status, event.code]),
+      onResponse: (event) => calls.push(["onResponse", event.res.statusCode]),
+    });
+
+    errorHandler(castError, createMockReq(), res, () => {});
+
+    expect(calls).toEqual([["onError", 400, "INVALID_ID"], "response", ["onResponse", 400]]);
+  });
+
+  test("should pass the classified error, request and original error to hooks", () => {
+    const onError = jest.fn();
+    const req = createMockReq({ "x-request-id": "abc-123" });
+    const errorHandler = createErrorHandler({ logErrors: false, requestId: true, onError });
+
+    errorHandler(castError, req, createMockRes(), () => {});
+
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: 400,
+        code: "INVALID_ID",
+        message: "Invalid object ID",
+        error: castError,
+        req,
+        requestId: "abc-123",
+      })
+    );
+  });
+
+  test("should still respond when hooks throw", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      onError: () => {
+        throw new Error("Hook failed");
+      },
+      onResponse: () => {
+        throw new Error("Hook failed");
+      },
+    });
+
+    const res = handle(errorHandler, castError);
+    expect(res.statusCode).toBe(400);
+    expect(res.jsonData.message).toBe("Invalid object ID");
+  });
+
+  test("should ignore rejected async hooks", async () => {
+    const unhandled = jest.fn();
+    process.on("unhandledRejection", unhandled);
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      onError: async () => {
+        throw new Error("Hook failed");
+      },
+    });
+
+    expect(handle(errorHandler, castError).statusCode).toBe(400);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    process.off("unhandledRejection", unhandled);
+    expect(unhandled).not.toHaveBeenCalled();
+  });
+
+  test("should call hooks for errors responded to by custom handlers", () => {
+    const onResponse = jest.fn();
+    const customHandlers = [(err, req, res) => res.status(402).json({ message: "Payment failed" })];
+    const errorHandler = createErrorHandler({ logErrors: false, customHandlers, onResponse });
+    handle(errorHandler, new Error("Card declined"));
+
+    expect(onResponse).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 402, code: "PAYMENT_REQUIRED" })
+    );
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, test, expect } from "@jest/globals";
+import { normalizeError } from "../index.js";
+
+// Mock MongoDB driver errors, which carry a numeric code and optional error labels
+const createMongoServerError = (code, extra = {}) =>
+  Object.assign(new Error(`Mongo server error ${code}`), {
+    name: "MongoServerError",
+    code,
+    ...extra,
+  });
+
+describe("MongoDB server and driver errors", () => {
+  test.each([
+    [112, 409, "WRITE_CONFLICT"],
+    [50, 504, "QUERY_TIMEOUT"],
+    [121, 422, "DOCUMENT_VALIDATION_FAILED"],
+  ])("should classify MongoServerError code %p as %p", (code, status, errorCode) => {
+    const result = normalizeError(createMongoServerError(code));
+    expect(result.status).toBe(status);
+    expect(result.code).toBe(errorCode);
+  });
+
+  test("should list fields failing collection schema validation", () => {
+    const err = createMongoServerError(121, {
+      errInfo: {
+        details: {
+          schemaRulesNotSatisfied: [
+            {
+              operatorName: "properties",
+              propertiesNotSatisfied: [{ propertyName: "age", details: [] }],
+            },
+            { operatorName: "required", missingProperties: ["email"] },
+          ],
+        },
+      },
+    });
+
+    expect(normalizeError(err).errors).toEqual([
+      {
+        field: "age",
+        message: "The field 'age' does not satisfy the collection schema",
+        code: "DOCUMENT_VALIDATION_FAILED",
+      },
+      {
+        field: "email",
+        message: "The field 'email' does not satisfy the collection schema",
+        code: "DOCUMENT_VALIDATION_FAILED",
+      },
+    ]);
+  });
+
+  test("should classify transient transaction errors as retryable 503s", () => {
+    const err = createMongoServerError(251, { errorLabels: ["TransientTransactionError"] });
+
+    expect(normalizeError(err)).toEqual({
+      status: 503,
+      code: "TRANSIENT_TRANSACTION_ERROR",
+      message: "Transaction failed",
+      errors: ["The transaction failed because of a temporary database issue. Please try again."],
+      headers: { "Retry-After": "30" },
+    });
+  });
+
+  test("should read labels with hasErrorLabel when available", () => {
+    const err = createMongoServerError(91, {
+      hasErrorLabel: (label) => label === "UnknownTransactionCommitResult",
+    });
+    expect(normalizeError(err).code).toBe("TRANSIENT_TRANSACTION_ERROR");
+  });
+
+  test("should prefer the write conflict code over transient labels", () => {
+    const err = createMongoServerError(112, { errorLabels: ["TransientTransactionError"] });
+    expect(normalizeError(err).code).toBe("WRITE_CONFLICT");
+  });
+
+  test("should classify duplicate key errors without keyPattern", () => {
+    const err = createMongoServerError(11000, {
+      errmsg: 'E11000 duplicate key error collection: app.users index: email_1 dup key: { : "a" }',
+    });
+
+    expect(normalizeError(err)).toEqual({
+      status: 409,
+      code: "DUPLICATE_KEY",
+      message: "Duplicate key violation",
+      errors: ["A record with the same unique value already exists"],
+    });
+  });
+
+  test("should list duplicate keys of bulk writes by document index", () => {
+    const err = Object.assign(new Error("E11000 duplicate key error"), {
+      name: "MongoBulkWriteError",
+      code: 11000,
+      writeErrors: [
+        { code: 11000, index: 0, err: { keyPattern: { email: 1 } } },
+        { code: 11000, index: 3, err: { keyPattern: { username: 1 } } },
+      ],
+    });
+
+    expect(normalizeError(err)).toEqual({
+      status: 409,
+      code: "BULK_WRITE_FAILED",
+      message: "Bulk write failed",
+      errors: [
+        {
+          field: "0.email",
+          message: "Record with field 'email' already exists",
+          code: "DUPLICATE_KEY",
+        },
+        {
+          field: "3.username",
+          message: "Record with field 'username' already exists",
+          code: "DUPLICATE_KEY",
+        },
+      ],
+    });
+  });
+
+  test("should respond 422 for bulk writes with other failures", () => {
+    const err = Object.assign(new Error("Bulk write failed"), {
+      name: "MongoBulkWriteError",
+      writeErrors: [
+        { code: 11000, index: 0, err: { keyPattern: { email: 1 } } },
+        { code: 121, index: 1, err: {} },
+      ],
+    });
+
+    const result = normalizeError(err);
+    expect(result.status).toBe(422);
+    expect(result.errors).toEqual([
+      {
+        field: "0.email",
+        message: "Record with field 'email' already exists",
+        code: "DUPLICATE_KEY",
+      },
+      "The document at index 1 could not be written",
+    ]);
+  });
+
+  test.each(["MongoServerSelectionError", "MongoNotConnectedError", "DisconnectedError"])(
+    "should classify %s as database unavailable",
+    (name) => {
+      const result = normalizeError({ name });
+      expect(result.status).toBe(503);
+      expect(result.code).toBe("DB_UNAVAILABLE");
+    }
+  );
+
+  test("should classify Mongoose DivergentArrayError as a conflict", () => {
+    const result = normalizeError({ name: "DivergentArrayError" });
+    expect(result.status).toBe(409);
+    expect(result.code).toBe("DIVERGENT_ARRAY");
+  });
+
+  test("should classify OverwriteModelError as an internal error without details", () => {
+    expect(
+      normalizeError({ name: "OverwriteModelError", message: "Cannot overwrite model" })
+    ).toEqual({
+      status: 500,
+      code: "MODEL_OVERWRITE",
+      message: "Unexpected error.",
+      errors: ["An unexpected error occurred. Please try again later."],
+    });
+  });
+
+  test("should translate MongoDB messages", () => {
+    expect(normalizeError(createMongoServerError(50), { locale: "es" }).message).toBe(
+      "La operación de base de datos superó el tiempo límite"
+    );
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, test, expect } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import createErrorHandler, { createNotFoundHandler, NotFoundError } from "../index.js";
+
+// App with a route failing with a 404 (with field error) and the given handler options
+const createApp = (options = {}, configure = () => {}) => {
+  const app = express();
+  configure(app);
+  app.get("/users/:id", () => {
+    throw new NotFoundError("User not found", {
+      errors: [{ field: "id", message: "No user with id <42>" }],
+    });
+  });
+  app.use(createNotFoundHandler(options));
+  app.use(createErrorHandler({ logErrors: false, ...options }));
+  return app;
+};
+
+describe("Content negotiation of error responses", () => {
+  test("should always respond with JSON when negotiation is off", async () => {
+    const res = await request(createApp()).get("/users/42").set("Accept", "text/html");
+
+    expect(res.status).toBe(404);
+    expect(res.type).toBe("application/json");
+    expect(res.headers.vary).toBeUndefined();
+  });
+
+  test("should respond with JSON when any type is accepted", async () => {
+    const res = await request(createApp({ negotiate: true }))
+      .get("/users/42")
+      .set("Accept", "*/*");
+
+    expect(res.type).toBe("application/json");
+    expect(res.headers.vary).toBe("Accept");
+    expect(res.body.message).toBe("User not found");
+  });
+
+  test("should respond with JSON when no available type is accepted", async () => {
+    const res = await request(createApp({ negotiate: true }))
+      .get("/users/42")
+      .set("Accept", "image/png");
+
+    expect(res.status).toBe(404);
+    expect(res.type).toBe("application/json");
+  });
+
+  test("should render a built-in HTML page for browsers", async () => {
+    const res = await request(createApp({ negotiate: true }))
+      .get("/users/42")
+      .set("Accept", "text/html,application/xhtml+xml,*/*;q=0.8");
+
+    expect(res.status).toBe(404);
+    expect(res.type).toBe("text/html");
+    expect(res.text).toContain("<title>404 Not Found</title>");
+    expect(res.text).toContain("<p>User not found</p>");
+    expect(res.text).toContain("<li>id: No user with id &lt;42&gt;</li>");
+  });
+
+  test("should render plain text", async () => {
+    const res = await request(createApp({ negotiate: true }))
+      .get("/users/42")
+      .set("Accept", "text/plain");
+
+    expect(res.type).toBe("text/plain");
+    expect(res.text).toBe("404 Not Found: User not found\n- id: No user with id <42>");
+  });
+
+  test("should render the formatted body as XML", async () => {
+    const res = await request(createApp({ negotiate: true }))
+      .get("/users/42")
+      .set("Accept", "application/xml");
+
+    expect(res.type).toBe("application/xml");
+    expect(res.text).toBe(
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        "<error><success>false</success><code>NOT_FOUND</code><message>User not found</message>" +
+        "<errors><item><field>id</field><message>No user with id &lt;42&gt;</message>" +
+        "<code>NOT_FOUND</code></item>" +
+        "</errors></error>"
+    );
+  });
+
+  test("should render problem details as application/problem+xml", async () => {
+    const res = await request(createApp({ negotiate: true, format: "problem" }))
+      .get("/users/42")
+      .set("Accept", "application/xml");
+
+    expect(res.type).toBe("application/problem+xml");
+    expect(res.text).toContain('<problem xmlns="urn:ietf:rfc:7807"><type>about:blank</type>');
+  });
+
+  test("should only negotiate the configured types", async () => {
+    const res = await request(createApp({ negotiate: ["json", "html"] }))
+      .get("/users/42")
+      .set("Accept", "text/plain");
+
+    expect(res.type).toBe("application/json");
+  });
+
+  test("should throw on unknown response types", () => {
+    expect(() => createErrorHandler({ negotiate: ["json", "yaml"] })).toThrow(TypeError);
+  });
+
+  test("should render HTML with a custom renderer function", async () => {
+    const htmlRenderer = ({ status, title, message }) => `<h1>${status} ${title}</h1>${message}`;
+    const res = await request(createApp({ negotiate: true, htmlRenderer }))
+      .get("/users/42")
+      .set("Accept", "text/html");
+
+    expect(res.text).toBe("<h1>404 Not Found</h1>User not found");
+  });
+
+  test("should render HTML with a view", async () => {
+    // Mock view class in place of a template engine and views directory
+    const configure = (app) =>
+      app.set("view", function View(name) {
+        this.path = `/views/${name}`;
+        this.render = (locals, callback) =>
+          callback(null, `${name}:${locals.status}:${locals.code}:${locals.message}`);
+      });
+    const app = createApp({ negotiate: true, htmlRenderer: "error" }, configure);
+
+    const res = await request(app).get("/users/42").set("Accept", "text/html");
+    expect(res.status).toBe(404);
+    expect(res.type).toBe("text/html");
+    expect(res.text).toBe("error:404:NOT_FOUND:User not found");
+  });
+
+  test("should fall back to the built-in page when the view fails", async () => {
+    const res = await request(createApp({ negotiate: true, htmlRenderer: "missing" }))
+      .get("/users/42")
+      .set("Accept", "text/html");
+
+    expect(res.status).toBe(404);
+    expect(res.text).toContain("<h1>404 Not Found</h1>");
+  });
+
+  test("should negotiate not found responses", async () => {
+    const res = await request(createApp({ negotiate: true }))
+      .get("/missing")
+      .set("Accept", "text/plain");
+
+    expect(res.status).toBe(404);
+    expect(res.text).toBe(
+      "404 Not Found: Route not found\n- The route GET /missing does not exist"
+    );
+  });
+
+  test("should keep headers for the status with other types", async () => {
+    const app = express();
+    app.get("/", () => {
+      throw Object.assign(new Error("Slow down"), { statusCode: 429 });
+    });
+    app.use(createErrorHandler({ logErrors: false, negotiate: true }));
+
+    const res = await request(app).get("/").set("Accept", "text/html");
+    expect(res.status).toBe(429);
+    expect(res.headers["retry-after"]).toBe("30");
+  });
+
+  test("should render single error items of custom handlers as text", async () => {
+    const handlers = {
+      before: {
+        express: (err) =>
+          err.name === "SignupError" && {
+            status: 400,
+            message: "Signup failed",
+            errors: { field: "email", message: "Email is taken" },
+          },
+      },
+    };
+    const app = createApp({ negotiate: true, handlers }, (app) =>
+      app.get("/signup", () => {
+        throw Object.assign(new Error("Signup failed"), { name: "SignupError" });
+      })
+    );
+
+    const res = await request(app).get("/signup").set("Accept", "text/plain");
+
+    expect(res.status).toBe(400);
+    expect(res.text).toContain("Email is taken");
+  });
+});
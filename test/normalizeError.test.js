@@ -0,0 +1,83 @@
+import { describe, test, expect } from "@jest/globals";
+import createErrorHandler, { normalizeError } from "../index.js";
+
+describe("normalizeError classifies errors without an Express response", () => {
+  test("should be exported alongside the default createErrorHandler export", () => {
+    expect(typeof normalizeError).toBe("function");
+    expect(typeof createErrorHandler).toBe("function");
+  });
+
+  test("should classify Mongoose ValidationError with field errors", () => {
+    const err = {
+      name: "ValidationError",
+      errors: { email: { path: "email", message: "Email is required" } },
+    };
+
+    expect(normalizeError(err)).toEqual({
+      status: 400,
+      code: "SCHEMA_VALIDATION_FAILED",
+      message: "Schema validation failed",
+      errors: [{ field: "email", message: "Email is required", code: "SCHEMA_VALIDATION_FAILED" }],
+    });
+  });
+
+  test("should classify MongoDB duplicate key errors", () => {
+    const result = normalizeError({ code: 11000, keyPattern: { email: 1 } });
+    expect(result.status).toBe(409);
+    expect(result.code).toBe("DUPLICATE_KEY");
+  });
+
+  test("should classify JWT errors", () => {
+    expect(normalizeError({ name: "TokenExpiredError" })).toEqual({
+      status: 401,
+      code: "TOKEN_EXPIRED",
+      message: "Expired token",
+      errors: ["Your session has expired. Please log in again to refresh."],
+      headers: {
+        "WWW-Authenticate": 'Bearer error="invalid_token", error_description="Expired token"',
+      },
+    });
+  });
+
+  test("should classify Zod errors with joined paths", () => {
+    const err = { name: "ZodError", issues: [{ path: ["user", "email"], message: "Invalid" }] };
+
+    expect(normalizeError(err)).toEqual({
+      status: 400,
+      code: "VALIDATION_FAILED",
+      message: "Data validation failed",
+      errors: [{ field: "user.email", message: "Invalid", code: "VALIDATION_FAILED" }],
+    });
+  });
+
+  test("should derive error code from status phrase for custom statusCode errors", () => {
+    const result = normalizeError({ statusCode: 422, message: "Invalid order" });
+    expect(result).toEqual({
+      status: 422,
+      code: "UNPROCESSABLE_ENTITY",
+      message: "Invalid order",
+      errors: ["Invalid order"],
+    });
+  });
+
+  test("should fall back to a generic 500 for unknown errors", () => {
+    expect(normalizeError(new Error("Something broke"))).toEqual({
+      status: 500,
+      code: "INTERNAL_ERROR",
+      message: "Unexpected error.",
+      errors: ["An unexpected error occurred. Please try again later."],
+    });
+  });
+
+  test("should fall back to a generic 500 for thrown primitives and null", () => {
+    expect(normalizeError("string error").status).toBe(500);
+    expect(normalizeError(null).status).toBe(500);
+    expect(normalizeError(undefined).status).toBe(500);
+  });
+
+  test("should return a new object on every call", () => {
+    const first = normalizeError(new Error("First"));
+    first.errors.push("mutated");
+    expect(normalizeError(new Error("Second")).errors).toHaveLength(1);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, test, expect } from "@jest/globals";
+import createErrorHandler, { normalizeError } from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+const castError = { name: "CastError", path: "_id", value: "abc", kind: "ObjectId" };
+
+const validationError = {
+  name: "ValidationError",
+  errors: {
+    email: { path: "email", value: "", kind: "required", message: "Email is required" },
+    age: { path: "age", value: 7, kind: "min", message: "Too young" },
+  },
+};
+
+describe("Error overrides", () => {
+  test("should replace the message of an error code", () => {
+    const result = normalizeError(castError, {
+      overrides: { INVALID_ID: { message: "Malformed {field}: {value}" } },
+    });
+
+    expect(result.status).toBe(400);
+    expect(result.message).toBe("Malformed _id: abc");
+    expect(result.errors).toEqual([
+      { field: "_id", message: "Value (abc) is not valid for _id", code: "INVALID_ID" },
+    ]);
+  });
+
+  test("should replace the status of an error name", () => {
+    const result = normalizeError(
+      { name: "DocumentNotFoundError" },
+      { overrides: { DocumentNotFoundError: { status: 410 } } }
+    );
+
+    expect(result.status).toBe(410);
+    expect(result.code).toBe("DOCUMENT_NOT_FOUND");
+    expect(result.message).toBe("Requested resource not found");
+  });
+
+  test("should prefer overrides of the error code to the error name", () => {
+    const result = normalizeError(castError, {
+      overrides: { CastError: { status: 422 }, INVALID_ID: { status: 404 } },
+    });
+    expect(result.status).toBe(404);
+  });
+
+  test("should template error items with the field, value and kind", () => {
+    const result = normalizeError(validationError, {
+      overrides: { SCHEMA_VALIDATION_FAILED: { errorMessage: "{field} failed {kind} ({value})" } },
+    });
+
+    expect(result.errors).toEqual([
+      { field: "email", message: "email failed required ()", code: "SCHEMA_VALIDATION_FAILED" },
+      { field: "age", message: "age failed min (7)", code: "SCHEMA_VALIDATION_FAILED" },
+    ]);
+  });
+
+  test("should template plain error items with the original message", () => {
+    const result = normalizeError(
+      { name: "DocumentNotFoundError" },
+      { overrides: { DOCUMENT_NOT_FOUND: { errorMessage: "Error: {message}{kind}" } } }
+    );
+    expect(result.errors).toEqual([
+      "Error: The record being accessed does not exist in the database",
+    ]);
+  });
+
+  test("should suppress detailed errors", () => {
+    const result = normalizeError(validationError, {
+      overrides: { ValidationError: { suppressErrors: true, errorMessage: "{field}" } },
+    });
+
+    expect(result.message).toBe("Schema validation failed");
+    expect(result.errors).toEqual([]);
+  });
+
+  test("should override the catch-all error", () => {
+    const result = normalizeError("oops", {
+      overrides: { INTERNAL_ERROR: { message: "Something broke" } },
+    });
+    expect(result).toMatchObject({ status: 500, message: "Something broke" });
+  });
+
+  test("should add headers for an overridden status", () => {
+    const result = normalizeError(
+      { name: "DocumentNotFoundError" },
+      { overrides: { DOCUMENT_NOT_FOUND: { status: 503 } } }
+    );
+    expect(result.headers).toEqual({ "Retry-After": "30" });
+  });
+
+  test.each([
+    ["non-object overrides", []],
+    ["non-object overrides of a type", { INVALID_ID: "Invalid" }],
+    ["unknown properties", { INVALID_ID: { code: "BAD_ID" } }],
+    ["statuses outside 4xx and 5xx", { INVALID_ID: { status: 302 } }],
+    ["non-integer statuses", { INVALID_ID: { status: "410" } }],
+    ["non-string templates", { INVALID_ID: { message: () => "Invalid" } }],
+    ["non-boolean suppressErrors", { INVALID_ID: { suppressErrors: "yes" } }],
+  ])("should throw on %s when creating the error handler", (_, overrides) => {
+    expect(() => createErrorHandler({ overrides })).toThrow(TypeError);
+  });
+
+  test("should respond with the overridden status and message", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      overrides: { DocumentNotFoundError: { status: 410, message: "Resource removed" } },
+    });
+    const res = createMockRes();
+
+    errorHandler({ name: "DocumentNotFoundError" }, createMockReq(), res, () => {});
+
+    expect(res.statusCode).toBe(410);
+    expect(res.jsonData.message).toBe("Resource removed");
+  });
+});
@@ -0,0 +1,257 @@
+import { describe, test, expect, jest, afterEach } from "@jest/globals";
+import { createServer } from "node:http";
+import createErrorHandler, {
+  createHttpReporter,
+  createMemoryReporter,
+  NotFoundError,
+} from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+// Run an error through the handler and wait for its reports to be delivered
+const handle = async (errorHandler, err, req = createMockReq()) => {
+  const res = createMockRes();
+  errorHandler(err, req, res, () => {});
+  await errorHandler.flushReports();
+  return res;
+};
+
+const createReportingHandler = (options = {}) => {
+  const reporter = createMemoryReporter();
+  const errorHandler = createErrorHandler({ logErrors: false, reporters: [reporter], ...options });
+  return { reporter, errorHandler };
+};
+
+describe("Error reporters", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test("should report server errors with tags, user, request and fingerprint", async () => {
+    const { reporter, errorHandler } = createReportingHandler({ requestId: true, redact: true });
+    const err = new TypeError("Cannot read properties of undefined");
+    const req = createMockReq(
+      { "x-request-id": "abc-123" },
+      { originalUrl: "/users/42?email=jane@example.com", user: { id: 7 } }
+    );
+
+    await handle(errorHandler, err, req);
+
+    expect(reporter.reports).toEqual([
+      {
+        error: err,
+        level: "error",
+        tags: { code: "INTERNAL_ERROR", status: 500, method: "GET" },
+        user: { id: "7" },
+        request: {
+          method: "GET",
+          url: "/users/42?email=[REDACTED]",
+          path: "/users/42",
+          requestId: "abc-123",
+        },
+        fingerprint: ["INTERNAL_ERROR", "TypeError", "/users/42"],
+        timestamp: expect.any(String),
+      },
+    ]);
+  });
+
+  test("should only report 5xx errors by default", async () => {
+    const { reporter, errorHandler } = createReportingHandler();
+    await handle(errorHandler, new NotFoundError());
+
+    expect(reporter.reports).toHaveLength(0);
+  });
+
+  test("should report configured statuses, status classes and codes", async () => {
+    const { reporter, errorHandler } = createReportingHandler({ reportOn: [404, "INVALID_ID"] });
+    await handle(errorHandler, new NotFoundError());
+    await handle(errorHandler, { name: "CastError", path: "_id", value: "abc" });
+    await handle(errorHandler, new Error("Boom"));
+
+    expect(reporter.reports.map(({ tags }) => tags.code)).toEqual(["NOT_FOUND", "INVALID_ID"]);
+    expect(reporter.reports[0].level).toBe("warning");
+  });
+
+  test("should report errors matching a reportOn function", async () => {
+    const reportOn = (status, code) => code === "INTERNAL_ERROR";
+    const { reporter, errorHandler } = createReportingHandler({
+      reportOn,
+      overrides: { INTERNAL_ERROR: { status: 503 } },
+    });
+    await handle(errorHandler, new Error("Boom"));
+
+    expect(reporter.reports[0].tags).toMatchObject({ code: "INTERNAL_ERROR", status: 503 });
+  });
+
+  test("should deliver reports after responding", async () => {
+    const { reporter, errorHandler } = createReportingHandler();
+    const res = createMockRes();
+
+    errorHandler(new Error("Boom"), createMockReq(), res, () => {});
+    expect(res.statusCode).toBe(500);
+    expect(reporter.reports).toHaveLength(0);
+
+    await errorHandler.flushReports();
+    expect(reporter.reports).toHaveLength(1);
+  });
+
+  test("should sample reports", async () => {
+    jest.spyOn(Math, "random").mockReturnValueOnce(0.7).mockReturnValueOnce(0.2);
+    const { reporter, errorHandler } = createReportingHandler({ reportSampleRate: 0.5 });
+    await handle(errorHandler, new Error("Boom"));
+    await handle(errorHandler, new Error("Boom"));
+
+    expect(reporter.reports).toHaveLength(1);
+  });
+
+  test("should throttle reports with the same fingerprint", async () => {
+    const now = jest.spyOn(Date, "now").mockReturnValue(0);
+    const { reporter, errorHandler } = createReportingHandler({
+      reportThrottle: { limit: 2, interval: 60000 },
+    });
+
+    for (let i = 0; i < 3; i++) await handle(errorHandler, new Error("Boom"));
+    await handle(errorHandler, new TypeError("Boom"));
+    now.mockReturnValue(60000);
+    await handle(errorHandler, new Error("Boom"));
+
+    expect(reporter.reports.map(({ error }) => error.name)).toEqual([
+      "Error",
+      "Error",
+      "TypeError",
+      "Error",
+    ]);
+  });
+
+  test("should ignore failing reporters", async () => {
+    const reporter = createMemoryReporter();
+    const failing = {
+      capture: async () => {
+        throw new Error("Reporting service down");
+      },
+    };
+    const throwing = () => {
+      throw new Error("Reporter bug");
+    };
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      reporters: [failing, throwing, reporter],
+    });
+
+    const res = await handle(errorHandler, new Error("Boom"));
+    expect(res.statusCode).toBe(500);
+    expect(reporter.reports).toHaveLength(1);
+  });
+
+  test.each([
+    ["invalid reporters", { reporters: [{ send: () => {} }] }],
+    ["sample rates above 1", { reportSampleRate: 2 }],
+    ["invalid throttles", { reportThrottle: { limit: 0, interval: 1000 } }],
+  ])("should throw on %s", (_, options) => {
+    expect(() => createErrorHandler(options)).toThrow(TypeError);
+  });
+
+  test("should clear the memory reporter", async () => {
+    const { reporter, errorHandler } = createReportingHandler();
+    await handle(errorHandler, new Error("Boom"));
+    reporter.clear();
+
+    expect(reporter.reports).toEqual([]);
+  });
+});
+
+describe("HTTP reporter", () => {
+  // Local server recording received requests, responding with the given status
+  const startServer = async (status = 204) => {
+    const received = [];
+    const server = createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(status).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/errors`;
+    return { url, received, close: () => new Promise((resolve) => server.close(resolve)) };
+  };
+
+  test("should post reports as JSON", async () => {
+    const server = await startServer();
+    const reporter = createHttpReporter({
+      url: server.url,
+      headers: { Authorization: "Bearer secret" },
+    });
+    const errorHandler = createErrorHandler({ logErrors: false, reporters: [reporter] });
+
+    try {
+      await handle(errorHandler, new Error("Boom"));
+    } finally {
+      await server.close();
+    }
+
+    expect(server.received).toHaveLength(1);
+    const [{ method, headers, body }] = server.received;
+    expect(method).toBe("POST");
+    expect(headers.authorization).toBe("Bearer secret");
+    expect(body).toMatchObject({
+      error: { name: "Error", message: "Boom" },
+      level: "error",
+      tags: { code: "INTERNAL_ERROR", status: 500 },
+      fingerprint: ["INTERNAL_ERROR", "Error", "/test"],
+    });
+    expect(body.error.stack).toContain("Error: Boom");
+  });
+
+  test("should redact error messages and stacks of posted reports", async () => {
+    const server = await startServer();
+    const reporter = createHttpReporter({ url: server.url, redact: true });
+    const error = new Error(
+      'E11000 duplicate key: { email: "jane@example.com" }, password=hunter2'
+    );
+
+    try {
+      await reporter.capture({ error, tags: {}, fingerprint: [] });
+    } finally {
+      await server.close();
+    }
+
+    const [{ body }] = server.received;
+    expect(body.error.message).not.toContain("jane@example.com");
+    expect(body.error.message).toContain("password=[REDACTED]");
+    expect(body.error.stack).not.toContain("hunter2");
+  });
+
+  test("should reject when the endpoint fails", async () => {
+    const server = await startServer(500);
+    const reporter = createHttpReporter({ url: server.url });
+
+    try {
+      await expect(
+        reporter.capture({ error: new Error("Boom"), tags: {}, fingerprint: [] })
+      ).rejects.toThrow("Error report failed with status 500");
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("should reject when the endpoint doesn't respond in time", async () => {
+    const server = createServer(() => {}); // Never responds
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const reporter = createHttpReporter({
+      url: `http://127.0.0.1:${server.address().port}/errors`,
+      timeout: 50,
+    });
+
+    try {
+      await expect(
+        reporter.capture({ error: new Error("Boom"), tags: {}, fingerprint: [] })
+      ).rejects.toThrow("Error report timed out after 50ms");
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test("should throw without a url", () => {
+    expect(() => createHttpReporter()).toThrow(TypeError);
+  });
+});
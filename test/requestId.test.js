@@ -0,0 +1,142 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import createErrorHandler, { createNotFoundHandler } from "../index.js";
+import { createMockRes } from "./helpers/mocks.js";
+
+// Mock Express request object with optional headers
+const createMockReq = (headers = {}, extra = {}) => ({
+  method: "POST",
+  originalUrl: "/api/users?invite=true",
+  headers,
+  ...extra,
+});
+
+const UUID = /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/;
+
+describe("Request correlation IDs in error responses and logs", () => {
+  let mockLogger;
+  let res;
+
+  beforeEach(() => {
+    mockLogger = jest.fn();
+    res = createMockRes();
+  });
+
+  test("should not add request IDs by default", () => {
+    const errorHandler = createErrorHandler({ logErrors: false });
+
+    errorHandler(new Error("Boom"), createMockReq({ "x-request-id": "abc" }), res);
+    expect(res.headers["x-request-id"]).toBeUndefined();
+    expect(res.jsonData).not.toHaveProperty("requestId");
+  });
+
+  test("should generate a UUID when the request has no ID", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, requestId: true });
+
+    errorHandler(new Error("Boom"), createMockReq(), res);
+    expect(res.headers["x-request-id"]).toMatch(UUID);
+    expect(res.jsonData.requestId).toBe(res.headers["x-request-id"]);
+  });
+
+  test("should reuse incoming X-Request-Id header", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, requestId: true });
+
+    errorHandler(new Error("Boom"), createMockReq({ "x-request-id": "req-123" }), res);
+    expect(res.headers["x-request-id"]).toBe("req-123");
+    expect(res.jsonData).toEqual({
+      success: false,
+      code: "INTERNAL_ERROR",
+      message: "Unexpected error.",
+      errors: ["An unexpected error occurred. Please try again later."],
+      requestId: "req-123",
+    });
+  });
+
+  test("should prefer req.id set by other middleware", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, requestId: true });
+
+    errorHandler(new Error("Boom"), createMockReq({ "x-request-id": "header" }, { id: 42 }), res);
+    expect(res.jsonData.requestId).toBe("42");
+  });
+
+  test("should use the trace ID from a traceparent header", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, requestId: true });
+    const traceparent = "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01";
+
+    errorHandler(new Error("Boom"), createMockReq({ traceparent }), res);
+    expect(res.jsonData.requestId).toBe("4bf92f3577b34da6a3ce929d0e0e4736");
+  });
+
+  test("should ignore unsafe incoming IDs and generate a new one", () => {
+    const errorHandler = createErrorHandler({ logErrors: false, requestId: true });
+
+    errorHandler(new Error("Boom"), createMockReq({ "x-request-id": "bad id\r\n" }), res);
+    expect(res.jsonData.requestId).toMatch(UUID);
+  });
+
+  test("should use custom header name and generator", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      requestId: true,
+      requestIdHeader: "X-Correlation-Id",
+      generateRequestId: () => "generated-1",
+    });
+
+    errorHandler(new Error("Boom"), createMockReq({ "x-request-id": "ignored" }), res);
+    expect(res.headers["x-correlation-id"]).toBe("generated-1");
+    expect(res.jsonData.requestId).toBe("generated-1");
+  });
+
+  test("should add request ID as a problem details extension member", () => {
+    const errorHandler = createErrorHandler({
+      logErrors: false,
+      requestId: true,
+      format: "problem",
+    });
+
+    errorHandler(new Error("Boom"), createMockReq({ "x-request-id": "req-1" }), res);
+    expect(res.jsonData).toEqual(expect.objectContaining({ status: 500, requestId: "req-1" }));
+  });
+
+  test("should log request ID with method, URL and route", () => {
+    const errorHandler = createErrorHandler({ logger: mockLogger, requestId: true });
+    const req = createMockReq(
+      { "x-request-id": "req-9" },
+      { baseUrl: "/api", route: { path: "/users" } }
+    );
+
+    errorHandler(new Error("Boom"), req, res);
+    expect(mockLogger).toHaveBeenCalledWith(
+      "The following error occurred:",
+      expect.objectContaining({
+        message: "Boom",
+        requestId: "req-9",
+        method: "POST",
+        url: "/api/users?invite=true",
+        route: "/api/users",
+      })
+    );
+  });
+
+  test("should log method and URL without a request ID when disabled", () => {
+    const errorHandler = createErrorHandler({ logger: mockLogger });
+
+    errorHandler(new Error("Boom"), createMockReq(), res);
+    const [, payload] = mockLogger.mock.calls[0];
+    expect(payload).toEqual(
+      expect.objectContaining({ method: "POST", url: "/api/users?invite=true" })
+    );
+    expect(payload).not.toHaveProperty("requestId");
+    expect(payload).not.toHaveProperty("route");
+  });
+
+  test("should add request IDs to not found responses", async () => {
+    const app = express();
+    app.use(createNotFoundHandler({ requestId: true }));
+
+    const res = await request(app).get("/missing").set("X-Request-Id", "nf-1");
+    expect(res.headers["x-request-id"]).toBe("nf-1");
+    expect(res.body.requestId).toBe("nf-1");
+  });
+});
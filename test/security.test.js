@@ -0,0 +1,162 @@
+import { describe, test, expect } from "@jest/globals";
+import { STATUS_CODES } from "node:http";
+import createErrorHandler, { normalizeError } from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+// Mock http-errors error (createError(status, message, props)), named after the status phrase
+const createHttpError = (status, message, props = {}) =>
+  Object.assign(new Error(message), {
+    name: `${STATUS_CODES[status].replace(/\W/g, "")}Error`,
+    status,
+    statusCode: status,
+    expose: status < 500,
+    ...props,
+  });
+
+// Mock rate-limiter-flexible rejection
+class RateLimiterRes {
+  constructor(msBeforeNext) {
+    this.msBeforeNext = msBeforeNext;
+    this.remainingPoints = 0;
+    this.consumedPoints = 6;
+    this.isFirstInDuration = false;
+  }
+}
+
+// Mock express-jwt error (status only, no statusCode)
+const createExpressJwtError = (code, inner) =>
+  Object.assign(new Error(inner?.message ?? code), {
+    name: "UnauthorizedError",
+    status: 401,
+    code,
+    inner,
+  });
+
+describe("Security middleware errors", () => {
+  test("should handle csurf invalid token errors", () => {
+    const err = createHttpError(403, "invalid csrf token", { code: "EBADCSRFTOKEN" });
+
+    expect(normalizeError(err)).toEqual({
+      status: 403,
+      code: "INVALID_CSRF_TOKEN",
+      message: "Invalid CSRF token",
+      errors: [
+        "The form has expired or is missing its CSRF token. Refresh the page and try again.",
+      ],
+    });
+  });
+
+  test("should handle cors origin rejections", () => {
+    const result = normalizeError(new Error("Not allowed by CORS"));
+
+    expect(result.status).toBe(403);
+    expect(result.code).toBe("CORS_ORIGIN_NOT_ALLOWED");
+  });
+
+  test("should leave CORS errors with their own status to the app error handler", () => {
+    const err = createHttpError(400, "Invalid CORS preflight");
+    expect(normalizeError(err)).toMatchObject({ status: 400, message: "Invalid CORS preflight" });
+  });
+
+  test("should not treat other errors mentioning CORS as origin rejections", () => {
+    const result = normalizeError(new Error("Failed to load CORS config file"));
+    expect(result).toMatchObject({ status: 500, code: "INTERNAL_ERROR" });
+  });
+
+  test("should handle rate-limiter-flexible rejections with Retry-After", () => {
+    const result = normalizeError(new RateLimiterRes(12_400));
+
+    expect(result).toEqual({
+      status: 429,
+      code: "TOO_MANY_REQUESTS",
+      message: "Too many requests",
+      errors: ["Too many requests. Please try again in 13 seconds."],
+      headers: { "Retry-After": "13" },
+    });
+  });
+
+  test("should handle express-jwt-permissions errors", () => {
+    const err = Object.assign(new Error("Permission denied"), {
+      name: "UnauthorizedError",
+      status: 403,
+      code: "permission_denied",
+    });
+
+    expect(normalizeError(err)).toMatchObject({ status: 403, code: "PERMISSION_DENIED" });
+  });
+
+  test("should handle express-jwt missing credentials", () => {
+    const result = normalizeError(createExpressJwtError("credentials_required"));
+
+    expect(result).toMatchObject({ status: 401, code: "AUTHENTICATION_REQUIRED" });
+    expect(result.headers).toEqual({ "WWW-Authenticate": "Bearer" });
+  });
+
+  test("should classify express-jwt invalid tokens by their inner error", () => {
+    const expired = Object.assign(new Error("jwt expired"), { name: "TokenExpiredError" });
+
+    expect(normalizeError(createExpressJwtError("invalid_token", expired)).code).toBe(
+      "TOKEN_EXPIRED"
+    );
+    expect(normalizeError(createExpressJwtError("revoked_token")).code).toBe("INVALID_TOKEN");
+  });
+
+  test("should leave http-errors 401s to the app error handler", () => {
+    const err = createHttpError(401, "Please sign in");
+
+    expect(err.name).toBe("UnauthorizedError");
+    expect(normalizeError(err)).toMatchObject({
+      status: 401,
+      code: "UNAUTHORIZED",
+      message: "Please sign in",
+    });
+  });
+
+  test("should translate security messages", () => {
+    const err = createHttpError(403, "invalid csrf token", { code: "EBADCSRFTOKEN" });
+    expect(normalizeError(err, { locale: "fr" }).message).toBe("Jeton CSRF invalide");
+  });
+
+  test("should respond through the middleware", () => {
+    const res = createMockRes();
+    createErrorHandler({ logErrors: false })(
+      new RateLimiterRes(2000),
+      createMockReq(),
+      res,
+      () => {}
+    );
+
+    expect(res.statusCode).toBe(429);
+    expect(res.get("Retry-After")).toBe("2");
+  });
+});
+
+describe("http-errors expose flag", () => {
+  test("should replace messages that aren't exposed with the status phrase", () => {
+    const err = createHttpError(503, "Redis connection to 10.0.0.5:6379 failed");
+
+    expect(normalizeError(err, { retryAfter: false })).toEqual({
+      status: 503,
+      code: "SERVICE_UNAVAILABLE",
+      message: "Service Unavailable",
+      errors: ["Service Unavailable"],
+    });
+  });
+
+  test("should hide detailed errors of errors that aren't exposed", () => {
+    const err = createHttpError(400, "Internal parser state", {
+      expose: false,
+      errors: ["Parser stack overflow"],
+    });
+
+    expect(normalizeError(err)).toMatchObject({
+      message: "Bad Request",
+      errors: ["Bad Request"],
+    });
+  });
+
+  test("should keep exposed messages", () => {
+    const err = createHttpError(404, "User not found");
+    expect(normalizeError(err)).toMatchObject({ message: "User not found" });
+  });
+});
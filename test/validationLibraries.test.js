@@ -0,0 +1,215 @@
+import { describe, test, expect } from "@jest/globals";
+import createErrorHandler, { normalizeError } from "../index.js";
+import { createMockReq, createMockRes } from "./helpers/mocks.js";
+
+// Mock errors in the shapes thrown by each library, without depending on the libraries themselves
+
+const createJoiError = (details) =>
+  Object.assign(new Error(details.map((d) => d.message).join(". ")), {
+    name: "ValidationError",
+    isJoi: true,
+    details,
+  });
+
+const createYupError = (path, message, inner = []) =>
+  Object.assign(new Error(message), {
+    name: "ValidationError",
+    path,
+    errors: inner.length ? inner.map((e) => e.message) : [message],
+    inner,
+  });
+
+// Result of express-validator's validationResult(req)
+const createValidatorResult = (items) => ({
+  array: () => items,
+  mapped: () => Object.fromEntries(items.map((item) => [item.path, item])),
+  isEmpty: () => items.length === 0,
+});
+
+const validationFailed = (errors) => ({
+  status: 400,
+  code: "VALIDATION_FAILED",
+  message: "Data validation failed",
+  errors,
+});
+
+describe("Joi and celebrate errors", () => {
+  test("should flatten Joi details with nested paths and array indices", () => {
+    const err = createJoiError([
+      { message: '"email" must be a valid email', path: ["email"], type: "string.email" },
+      { message: '"name" is required', path: ["items", 0, "name"], type: "any.required" },
+    ]);
+
+    expect(normalizeError(err)).toEqual(
+      validationFailed([
+        { field: "email", message: '"email" must be a valid email', code: "VALIDATION_FAILED" },
+        { field: "items.0.name", message: '"name" is required', code: "VALIDATION_FAILED" },
+      ])
+    );
+  });
+
+  test("should return plain messages for errors on the whole value", () => {
+    const err = createJoiError([{ message: '"value" must be of type object', path: [] }]);
+    expect(normalizeError(err).errors).toEqual(['"value" must be of type object']);
+  });
+
+  test("should flatten celebrate errors of every request segment", () => {
+    const err = Object.assign(new Error("Validation failed"), {
+      details: new Map([
+        ["body", createJoiError([{ message: '"email" is required', path: ["email"] }])],
+        ["query", createJoiError([{ message: '"page" must be a number', path: ["page"] }])],
+      ]),
+    });
+
+    expect(normalizeError(err)).toEqual(
+      validationFailed([
+        { field: "email", message: '"email" is required', code: "VALIDATION_FAILED" },
+        { field: "page", message: '"page" must be a number', code: "VALIDATION_FAILED" },
+      ])
+    );
+  });
+});
+
+describe("Yup errors", () => {
+  test("should flatten inner errors with bracket indices as dot paths", () => {
+    const err = createYupError(undefined, "2 errors occurred", [
+      createYupError("email", "email must be a valid email"),
+      createYupError("users[1].age", "age must be a positive number"),
+    ]);
+
+    expect(normalizeError(err)).toEqual(
+      validationFailed([
+        { field: "email", message: "email must be a valid email", code: "VALIDATION_FAILED" },
+        {
+          field: "users.1.age",
+          message: "age must be a positive number",
+          code: "VALIDATION_FAILED",
+        },
+      ])
+    );
+  });
+
+  test("should use the error itself when aborting early", () => {
+    const err = createYupError("name", "name is a required field");
+    expect(normalizeError(err).errors).toEqual([
+      { field: "name", message: "name is a required field", code: "VALIDATION_FAILED" },
+    ]);
+  });
+});
+
+describe("express-validator errors", () => {
+  test("should flatten validation results", () => {
+    const result = createValidatorResult([
+      { type: "field", location: "body", path: "email", value: "x", msg: "Invalid email" },
+      { type: "field", location: "body", path: "tags[0]", value: "", msg: "Tag is empty" },
+    ]);
+
+    expect(normalizeError(result)).toEqual(
+      validationFailed([
+        { field: "email", message: "Invalid email", code: "VALIDATION_FAILED" },
+        { field: "tags.0", message: "Tag is empty", code: "VALIDATION_FAILED" },
+      ])
+    );
+  });
+
+  test("should support 'param' from express-validator 6", () => {
+    const result = createValidatorResult([{ param: "password", msg: "Too short" }]);
+    expect(normalizeError(result).errors).toEqual([
+      { field: "password", message: "Too short", code: "VALIDATION_FAILED" },
+    ]);
+  });
+
+  test("should flatten oneOf alternatives and unknown fields", () => {
+    const result = createValidatorResult([
+      {
+        type: "alternative_grouped",
+        msg: "Invalid value(s)",
+        nestedErrors: [[{ type: "field", path: "phone", msg: "Invalid phone" }]],
+      },
+      { type: "unknown_fields", msg: "Unknown field", fields: [{ path: "admin", value: true }] },
+    ]);
+
+    expect(normalizeError(result).errors).toEqual([
+      { field: "phone", message: "Invalid phone", code: "VALIDATION_FAILED" },
+      { field: "admin", message: "Unknown field", code: "VALIDATION_FAILED" },
+    ]);
+  });
+
+  test("should handle errors thrown with result.throw()", () => {
+    const err = Object.assign(
+      new Error(),
+      createValidatorResult([{ type: "field", path: "id", msg: "Invalid id" }])
+    );
+
+    expect(normalizeError(err).errors).toEqual([
+      { field: "id", message: "Invalid id", code: "VALIDATION_FAILED" },
+    ]);
+  });
+});
+
+describe("class-validator errors", () => {
+  test("should flatten constraints of nested children", () => {
+    const errors = [
+      { property: "email", constraints: { isEmail: "email must be an email" }, children: [] },
+      {
+        property: "addresses",
+        children: [
+          {
+            property: "0",
+            children: [
+              {
+                property: "zip",
+                constraints: {
+                  isNotEmpty: "zip should not be empty",
+                  isPostalCode: "zip must be a postal code",
+                },
+                children: [],
+              },
+            ],
+          },
+        ],
+      },
+    ];
+
+    expect(normalizeError(errors)).toEqual(
+      validationFailed([
+        { field: "email", message: "email must be an email", code: "VALIDATION_FAILED" },
+        { field: "addresses.0.zip", message: "zip should not be empty", code: "VALIDATION_FAILED" },
+        {
+          field: "addresses.0.zip",
+          message: "zip must be a postal code",
+          code: "VALIDATION_FAILED",
+        },
+      ])
+    );
+  });
+
+  test("should not treat other arrays as class-validator errors", () => {
+    expect(normalizeError(["Something failed"]).status).toBe(500);
+  });
+});
+
+describe("Validation library errors in the error handler", () => {
+  test("should respond 400 instead of falling through to the catch-all", () => {
+    const errorHandler = createErrorHandler({ logErrors: false });
+    const res = createMockRes();
+
+    errorHandler(createYupError("name", "name is a required field"), createMockReq(), res);
+    expect(res.statusCode).toBe(400);
+    expect(res.jsonData).toEqual({
+      success: false,
+      code: "VALIDATION_FAILED",
+      message: "Data validation failed",
+      errors: [{ field: "name", message: "name is a required field", code: "VALIDATION_FAILED" }],
+    });
+  });
+
+  test("should still classify Mongoose validation errors", () => {
+    const err = {
+      name: "ValidationError",
+      errors: { email: { path: "email", message: "Email is required" } },
+    };
+
+    expect(normalizeError(err).code).toBe("SCHEMA_VALIDATION_FAILED");
+  });
+});
@@ -17,7 +17,7 @@ export default defineConfig({
   dts: false, // Custom ts files exist so don't generate new ones
 
   footer: {
-    // This allows default import with CJS
-    js: "if (typeof module !== 'undefined' && module.exports.default) { module.exports = module.exports.default; }",
+    // This allows default import with CJS, keeping named exports as properties of the default export
+    js: "if (typeof module !== 'undefined' && module.exports.default) { module.exports = Object.assign(module.exports.default, module.exports); }",
   },
 });